@@ -0,0 +1,450 @@
+#!/usr/bin/env node
+// Command-line client for the Universal Media Extractor.
+// Talks to a running server over its HTTP API, or with --local runs the same pipeline in-process.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+
+const USAGE = `Usage:
+  umx analyze <url> [--json] [--playlist]
+  umx get <url> [options]
+  umx batch <file> [options]        one URL per line, # starts a comment
+
+Options:
+  --video <best|1080|720|...|id|none>   video stream (default best)
+  --audio <best|id|none>                audio stream (default best)
+  --format <profile>                    output profile: mp4, mkv, webm, mov, mp3, m4a, opus, flac (default mp4)
+  --chapters <embed|split|none>         chapter handling (default embed)
+  --vcodec <h264|hevc|vp9|av1>          video codec to encode to (default: keep what the container allows)
+  --crf <n>                             re-encode at this constant quality (lower is better)
+  --bitrate <rate>                      re-encode at this video bitrate, e.g. 2500k or 4M
+  --preset <name>                       encoder speed, ultrafast ... veryslow
+  --cookies <profileId|none>            cookie profile instead of the automatic pick
+  -o, --output <dir>                    where finished files go (default .)
+  --refresh                             ignore cached analyses
+  --playlist                            treat the URL as a playlist/channel
+  --json                                machine-readable analyze output
+
+Connection:
+  --server <url>     API base URL (env UMX_SERVER, default http://localhost:3000)
+  --key <key>        API key (env UMX_API_KEY)
+  --local            run the pipeline in this process, no server needed
+                     (state lives in ~/.umx unless UMX_DATA_DIR / UMX_TEMP_DIR are set)
+  --verbose          with --local, print pipeline logs to stderr
+
+Exit codes: 0 success, 1 a job or request failed, 2 bad usage`;
+
+const FINAL_STATUSES = ['completed', 'error', 'cancelled', 'expired'];
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+const print = (line) => process.stdout.write(line + '\n'); // console.log is muted in local mode
+
+// --- ARGUMENTS ---
+class UsageError extends Error {}
+
+const FLAGS = ['json', 'playlist', 'refresh', 'local', 'verbose', 'help'];
+const ALIASES = { o: 'output', h: 'help' };
+
+const parseArgs = (argv) => {
+    const opts = { _: [] };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (!arg.startsWith('-')) {
+            opts._.push(arg);
+            continue;
+        }
+        let name = arg.replace(/^--?/, '');
+        let value = null;
+        if (name.includes('=')) [name, value] = [name.slice(0, name.indexOf('=')), name.slice(name.indexOf('=') + 1)];
+        name = ALIASES[name] || name;
+        if (FLAGS.includes(name)) {
+            opts[name] = true;
+            continue;
+        }
+        if (value === null) value = argv[++i];
+        if (value === undefined) throw new UsageError(`--${name} needs a value`);
+        opts[name] = value;
+    }
+    return opts;
+};
+
+// --- CLIENTS ---
+// Both clients expose the same calls, so the commands below never care where the pipeline runs
+const remoteClient = ({ server, key }) => {
+    const base = server.replace(/\/+$/, '');
+    const headers = key ? { 'X-API-Key': key } : {};
+
+    const request = async (method, route, body) => {
+        for (let attempt = 0; ; attempt++) {
+            let res;
+            try {
+                res = await fetch(base + route, {
+                    method, headers: { ...headers, ...(body ? { 'Content-Type': 'application/json' } : {}) },
+                    body: body ? JSON.stringify(body) : undefined
+                });
+            } catch (err) {
+                throw new Error(`Cannot reach ${base}: ${err.cause ? err.cause.message : err.message}`);
+            }
+            // Rate limits say when to come back; quota errors (no Retry-After) are final
+            const retryAfter = parseInt(res.headers.get('retry-after'), 10);
+            if (res.status === 429 && retryAfter && attempt < 5) {
+                await sleep(retryAfter * 1000);
+                continue;
+            }
+            if (res.status === 401) throw new Error('Login required: pass --key or set UMX_API_KEY');
+            const data = await res.json().catch(() => ({}));
+            if (!res.ok) throw new Error(data.error || `${method} ${route} failed with HTTP ${res.status}`);
+            return data;
+        }
+    };
+
+    return {
+        analyze: (body) => request('POST', '/api/analyze', body),
+        download: (body) => request('POST', '/api/download', body),
+        batch: (body) => request('POST', '/api/batch', body),
+        cancel: (jobId) => request('DELETE', `/api/jobs/${jobId}`).catch(() => {}),
+
+        // Follows the job's event stream until it settles; reconnects if the server restarts underneath us
+        watch: async (jobId, onUpdate) => {
+            for (;;) {
+                let res;
+                try {
+                    res = await fetch(`${base}/api/jobs/${jobId}/events`, { headers });
+                } catch (err) {
+                    await sleep(2000);
+                    continue;
+                }
+                if (!res.ok) throw new Error(`Lost track of job ${jobId} (HTTP ${res.status})`);
+
+                let buffer = '';
+                try {
+                    for await (const chunk of res.body) {
+                        buffer += Buffer.from(chunk).toString();
+                        let split;
+                        while ((split = buffer.indexOf('\n\n')) !== -1) {
+                            const event = buffer.slice(0, split);
+                            buffer = buffer.slice(split + 2);
+                            const data = event.split('\n').find(line => line.startsWith('data: '));
+                            if (!data) continue;
+                            const snapshot = JSON.parse(data.slice(6));
+                            onUpdate(snapshot);
+                            if (snapshot.status === 'interrupted') await request('POST', `/api/jobs/${jobId}/resume`).catch(() => {});
+                            if (FINAL_STATUSES.includes(snapshot.status)) {
+                                res.body.cancel().catch(() => {});
+                                return snapshot;
+                            }
+                        }
+                    }
+                } catch (err) {
+                    // The connection dropped mid-stream (server restart, proxy timeout); pick the stream up again below
+                }
+                await sleep(1000);
+            }
+        },
+
+        save: async (snapshot, title, dir) => {
+            const res = await fetch(`${base}/api/file/${snapshot.jobId}/${encodeURIComponent(title)}`, { headers });
+            if (!res.ok) throw new Error(`Download of the finished file failed: ${(await res.text()) || `HTTP ${res.status}`}`);
+            const disposition = res.headers.get('content-disposition') || '';
+            const encoded = disposition.match(/filename\*=UTF-8''([^;]+)/i);
+            const plain = disposition.match(/filename="([^"]+)"/i);
+            const name = encoded ? decodeURIComponent(encoded[1]) : (plain ? plain[1] : `${snapshot.jobId}${path.extname(snapshot.file || '')}`);
+            const dest = freePath(dir, path.basename(name));
+            await pipeline(Readable.fromWeb(res.body), fs.createWriteStream(dest));
+            return dest;
+        }
+    };
+};
+
+// Loads server.js as a module: same queue, encoder and library, but nothing listens on a port
+const localClient = ({ verbose }) => {
+    const home = path.join(os.homedir(), '.umx');
+    process.env.UMX_AUTH = 'off';
+    process.env.UMX_DATA_DIR = process.env.UMX_DATA_DIR || path.join(home, 'data');
+    process.env.UMX_TEMP_DIR = process.env.UMX_TEMP_DIR || path.join(home, 'temp');
+    process.env.UMX_LOG_FORMAT = process.env.UMX_LOG_FORMAT || 'text'; // --verbose is read by people, not collectors
+    console.log = verbose ? console.error : () => {}; // stdout belongs to the CLI output
+
+    const umx = require('../server.js');
+    const user = { username: 'local', role: 'admin' };
+
+    return {
+        analyze: (body) => umx.analyzeMedia(user, body),
+        download: (body) => umx.createDownload(user, body),
+        batch: (body) => umx.createBatch(user, body),
+        cancel: async (jobId) => {
+            if (umx.jobs[jobId] && !FINAL_STATUSES.includes(umx.jobs[jobId].status)) umx.cancelJob(jobId);
+        },
+
+        watch: (jobId, onUpdate) => new Promise((resolve) => {
+            const listener = (snapshot) => {
+                onUpdate(snapshot);
+                if (!FINAL_STATUSES.includes(snapshot.status)) return;
+                umx.jobEvents.off(jobId, listener);
+                resolve(snapshot);
+            };
+            umx.jobEvents.on(jobId, listener);
+            listener(umx.jobSnapshot(jobId)); // Library hits are already complete
+        }),
+
+        save: async (snapshot, title, dir) => {
+            const job = umx.jobs[snapshot.jobId];
+            const dest = freePath(dir, umx.deliveryName(job, title));
+            fs.copyFileSync(umx.jobOutputPath(job), dest);
+            umx.releaseJob(snapshot.jobId);
+            return dest;
+        }
+    };
+};
+
+// --- PROGRESS ---
+const bytes = (b) => (b ? (b / 1024 / 1024).toFixed(1) + ' MB' : '?');
+const clock = (s) => {
+    s = Math.round(s || 0);
+    return `${Math.floor(s / 60)}:${String(s % 60).padStart(2, '0')}`;
+};
+
+const describe = (s) => {
+    if (s.status === 'queued') return `queued #${s.queuePosition || '?'}${s.waitingForDisk ? ' (waiting for disk space)' : ''}`;
+    if (s.status !== 'downloading') return s.status;
+    const parts = [(s.phase || 'starting').replace(/_/g, ' '), s.progress];
+    if (s.speed) parts.push(`${bytes(s.speed)}/s`);
+    if (s.eta !== null && s.eta !== undefined) parts.push(`ETA ${clock(s.eta)}`);
+    return parts.join(' • ');
+};
+
+// One status line that redraws in place on a terminal; when piped, one line per job stage
+const createProgress = () => {
+    const tty = process.stderr.isTTY;
+    const states = new Map();
+    const stages = new Map();
+    let lastLine = '';
+
+    const render = () => {
+        if (states.size === 0) return;
+        const active = [...states.values()].filter(s => !FINAL_STATUSES.includes(s.status));
+        let line;
+        if (states.size === 1) {
+            const s = [...states.values()][0];
+            line = `${s.title}: ${describe(s)}`;
+        } else {
+            const done = states.size - active.length;
+            const current = active.find(s => s.status === 'downloading');
+            line = `[${done}/${states.size}] ${current ? `${current.title}: ${describe(current)}` : (active.length ? 'waiting in queue' : 'done')}`;
+        }
+        if (line === lastLine) return;
+        lastLine = line;
+        process.stderr.write(`\r\x1b[K${line.slice(0, (process.stderr.columns || 100) - 1)}`);
+    };
+
+    // Byte and ETA ticks would flood a log file, so piped output only reports status and phase changes
+    const logStage = (s) => {
+        const stage = s.status === 'downloading' ? (s.phase || 'starting').replace(/_/g, ' ') : s.status;
+        if (FINAL_STATUSES.includes(s.status) || stages.get(s.jobId) === stage) return;
+        stages.set(s.jobId, stage);
+        process.stderr.write(`${s.title}: ${stage}\n`);
+    };
+
+    return {
+        update: (title, snapshot) => {
+            states.set(snapshot.jobId, { ...snapshot, title });
+            if (tty) render();
+            else logStage(states.get(snapshot.jobId));
+        },
+        note: (message) => {
+            if (tty) process.stderr.write('\r\x1b[K');
+            process.stderr.write(message + '\n');
+            lastLine = '';
+            if (tty) render();
+        },
+        done: () => {
+            if (tty && lastLine) process.stderr.write('\r\x1b[K');
+        }
+    };
+};
+
+// Batches often hold several videos with the same title; never overwrite an earlier file
+const freePath = (dir, name) => {
+    const ext = path.extname(name);
+    const stem = path.basename(name, ext);
+    let candidate = path.join(dir, name);
+    for (let n = 2; fs.existsSync(candidate); n++) candidate = path.join(dir, `${stem} (${n})${ext}`);
+    return candidate;
+};
+
+// --- STREAM SELECTION ---
+// Mirrors the UI defaults: tallest video (largest file on ties) and the largest audio-only track
+const pickStreams = (info, { video = 'best', audio = 'best' }) => {
+    const videos = info.formats.filter(f => f.vcodec).sort((a, b) => (b.height - a.height) || (b.size - a.size));
+    const audios = info.formats.filter(f => f.acodec && !f.vcodec).sort((a, b) => b.size - a.size);
+
+    const pick = (list, wanted, kind) => {
+        if (wanted === 'none') return null;
+        if (wanted === 'best') return list[0] || null;
+        const cap = kind === 'video' && /^\d+p?$/.test(wanted) ? parseInt(wanted, 10) : null;
+        const found = cap ? list.find(f => f.height <= cap) : list.find(f => f.id === wanted);
+        if (!found) throw new Error(`No ${kind} stream matches "${wanted}" (see umx analyze)`);
+        return found;
+    };
+
+    const v = pick(videos, video, 'video');
+    const a = pick(audios, audio, 'audio');
+    if (!v && !a) throw new Error('Nothing to download: both --video and --audio resolve to none');
+    return {
+        vId: v ? v.id : '', aId: a ? a.id : '',
+        vLabel: v ? v.resolution : 'NoVideo', aLabel: a ? (a.abr || 'HQ') : 'NoAudio',
+        vCodec: v ? v.vcodec : '', aCodec: a ? a.acodec : (v ? v.acodec || '' : '')
+    };
+};
+
+// Flat playlist entries have no format table, so --video maps onto the server's batch presets
+const batchQuality = (video = 'best') => (/^\d+p?$/.test(video) ? `${parseInt(video, 10)}p` : 'best');
+
+// --- COMMANDS ---
+const printAnalysis = (info) => {
+    const cache = info.cache && info.cache.hit ? ' (cached)' : '';
+    print(`${info.title}${cache}`);
+    print(`${info.platform} • ${info.url}`);
+    if (info.type === 'playlist') {
+        print(`Playlist with ${info.entries.length} entries:`);
+        info.entries.forEach(e => print(`  ${String(e.index).padStart(3)}. ${e.title}${e.duration ? ` [${clock(e.duration)}]` : ''}`));
+        return;
+    }
+    print(`Duration ${clock(info.duration)}${info.chapters.length ? ` • ${info.chapters.length} chapters` : ''}${info.subtitles.length ? ` • subtitles: ${info.subtitles.map(t => t.lang).join(', ')}` : ''}`);
+    print('');
+    print('  ID        KIND   QUALITY     CODEC        SIZE');
+    info.formats.forEach(f => {
+        const kind = f.vcodec ? (f.acodec ? 'av' : 'video') : 'audio';
+        const quality = f.vcodec ? `${f.resolution} ${f.label}` : (f.abr || f.label);
+        print(`  ${String(f.id).padEnd(9)} ${kind.padEnd(6)} ${quality.padEnd(11)} ${(f.codec_info || '').padEnd(12)} ${bytes(f.size)}`);
+    });
+};
+
+// Queues everything a URL expands to and returns [{ jobId, title }]
+const submit = async (client, url, opts) => {
+    const info = await client.analyze({ url, playlist: opts.playlist, refresh: opts.refresh, cookieProfile: opts.cookies });
+    const common = {
+        profile: opts.format || 'mp4', cookieProfile: opts.cookies,
+        videoCodec: opts.vcodec, crf: opts.crf, videoBitrate: opts.bitrate, preset: opts.preset
+    };
+
+    if (info.type === 'playlist') {
+        const entries = info.entries.filter(e => !e.isPlaylist);
+        const batch = await client.batch({ ...common, title: info.title, entries, quality: batchQuality(opts.video) });
+        return batch.jobs.map(j => ({ jobId: j.jobId, title: j.title }));
+    }
+
+    const streams = pickStreams(info, opts);
+    const { jobId } = await client.download({
+        ...common, ...streams, url: info.url, title: info.title, thumbnail: info.thumbnail,
+        duration: info.duration, chapters: opts.chapters || 'embed'
+    });
+    return [{ jobId, title: info.title }];
+};
+
+// Waits on every job in parallel and saves each file as soon as it is ready
+const collect = async (client, queued, dir, progress) => {
+    let saved = 0, failed = 0;
+    // One lost job must not abandon the others, which keep running on the server either way
+    await Promise.all(queued.map(async ({ jobId, title }) => {
+        let final;
+        try {
+            final = await client.watch(jobId, (s) => progress.update(title, s));
+        } catch (err) {
+            failed++;
+            progress.note(`✖ ${title}: ${err.message}`);
+            return;
+        }
+        if (final.status !== 'completed') {
+            failed++;
+            progress.note(`✖ ${title}: ${final.error || final.status}`);
+            return;
+        }
+        try {
+            const dest = await client.save(final, title, dir);
+            saved++;
+            progress.note(`✔ ${dest}${final.fromLibrary ? ' (from library)' : ''}`);
+        } catch (err) {
+            failed++;
+            progress.note(`✖ ${title}: ${err.message}`);
+        }
+    }));
+    progress.done();
+    return { saved, failed };
+};
+
+const main = async () => {
+    const opts = parseArgs(process.argv.slice(2));
+    const [command, target] = opts._;
+    if (opts.help || !command) {
+        print(USAGE);
+        return opts.help ? 0 : 2;
+    }
+    if (!['analyze', 'get', 'batch'].includes(command)) throw new UsageError(`Unknown command "${command}"`);
+    if (!target) throw new UsageError(`umx ${command} needs a${command === 'batch' ? ' file' : ' URL'}`);
+
+    const client = opts.local
+        ? localClient(opts)
+        : remoteClient({ server: opts.server || process.env.UMX_SERVER || 'http://localhost:3000', key: opts.key || process.env.UMX_API_KEY });
+
+    if (command === 'analyze') {
+        const info = await client.analyze({ url: target, playlist: opts.playlist, refresh: opts.refresh, cookieProfile: opts.cookies });
+        if (opts.json) print(JSON.stringify(info, null, 2));
+        else printAnalysis(info);
+        return 0;
+    }
+
+    const dir = path.resolve(opts.output || '.');
+    fs.mkdirSync(dir, { recursive: true });
+
+    let urls = [target];
+    if (command === 'batch') {
+        if (!fs.existsSync(target)) throw new UsageError(`No such file: ${target}`);
+        urls = fs.readFileSync(target, 'utf8').split(/\r?\n/).map(l => l.replace(/#.*/, '').trim()).filter(Boolean);
+        if (urls.length === 0) throw new UsageError(`${target} lists no URLs`);
+    }
+
+    // Ctrl+C stops our jobs on the server too instead of leaving them to finish unattended
+    const queued = [];
+    process.once('SIGINT', async () => {
+        process.stderr.write('\nCancelling...\n');
+        await Promise.all(queued.map(j => client.cancel(j.jobId)));
+        process.exit(130);
+    });
+
+    const progress = createProgress();
+    let failed = 0;
+    for (const url of urls) {
+        try {
+            queued.push(...await submit(client, url, opts));
+        } catch (err) {
+            failed++;
+            progress.note(`✖ ${url}: ${err.message}`);
+        }
+    }
+    const result = await collect(client, queued, dir, progress);
+    failed += result.failed;
+
+    if (urls.length > 1 || queued.length > 1) process.stderr.write(`${result.saved} saved, ${failed} failed\n`);
+    return failed ? 1 : 0;
+};
+
+// Only run when invoked as a command; test/ requires this file for its parsers
+if (require.main === module) {
+    // Piping into head & co. closes stdout early; that is not an error
+    process.stdout.on('error', (err) => {
+        if (err.code === 'EPIPE') process.exit(process.exitCode || 0);
+        throw err;
+    });
+
+    main().then((code) => {
+        process.exitCode = code;
+    }).catch((err) => {
+        process.stderr.write(`umx: ${err.message}\n`);
+        if (err instanceof UsageError) process.stderr.write(`Run "umx --help" for usage.\n`);
+        process.exitCode = err instanceof UsageError ? 2 : 1;
+    });
+}
+
+module.exports = { parseArgs, pickStreams, batchQuality, freePath, remoteClient, UsageError };
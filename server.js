@@ -2,356 +2,3975 @@ const express = require('express');
 const { YtDlp } = require('ytdlp-nodejs');
 const path = require('path');
 const fs = require('fs');
+const crypto = require('crypto');
+const dns = require('dns');
+const net = require('net');
+const http = require('http');
+const https = require('https');
+const EventEmitter = require('events');
 const { v4: uuidv4 } = require('uuid');
 const { execSync, spawn, spawnSync } = require('child_process');
 const cors = require('cors');
+const archiver = require('archiver');
 
 const app = express();
-const PORT = 3000;
-const COOKIES = path.join(__dirname, 'cookies.txt');
-const TEMP_DIR = path.join(__dirname, 'temp');
+
+// --- CONFIGURATION ---
+// Each setting resolves in layers: built-in default -> config file -> environment variable -> command-line flag.
+// The config file is JSON keyed like CONFIG_SCHEMA (umx.config.json next to server.js, or UMX_CONFIG / --config);
+// flags are the kebab-case keys, e.g. --max-concurrent-jobs 4. Run "node server.js --help" for the full list
+const CONFIG_SCHEMA = {
+    port: { type: 'integer', min: 1, max: 65535, default: 3000, env: ['UMX_PORT', 'PORT'], description: 'HTTP port' },
+    tempDir: { type: 'path', default: 'temp', env: 'UMX_TEMP_DIR', description: 'Working folder for downloads in progress' },
+    dataDir: { type: 'path', default: 'data', env: 'UMX_DATA_DIR', description: 'Job, user, history and library stores' },
+    cookiesFile: { type: 'path', default: 'cookies.txt', env: 'UMX_COOKIES', description: 'Fallback cookie file when no cookie profile matches' },
+    urlRulesFile: { type: 'path', default: 'url-rules.json', env: 'UMX_URL_RULES', description: 'Custom URL normalisation rules' },
+    maxConcurrentJobs: { type: 'integer', min: 1, default: 2, env: 'UMX_MAX_CONCURRENT_JOBS', description: 'Parallel yt-dlp + ffmpeg pipelines' },
+    maxConcurrentAnalyzes: { type: 'integer', min: 1, default: 3, env: 'UMX_MAX_CONCURRENT_ANALYZES', description: 'Parallel yt-dlp metadata probes' },
+    maxBatchEntries: { type: 'integer', min: 1, default: 200, env: 'UMX_MAX_BATCH_ENTRIES', description: 'Playlist entries per batch' },
+    jsonBodyLimit: { type: 'string', pattern: /^\d+\s*(b|kb|mb)$/i, hint: 'a size like 100kb or 1mb', default: '100kb', env: 'UMX_JSON_LIMIT', description: 'Largest accepted JSON request body' },
+    encoder: { type: 'enum', values: ['auto', 'software', 'h264_qsv', 'h264_nvenc', 'h264_videotoolbox', 'h264_amf', 'libx264'], default: 'auto', env: 'UMX_ENCODER', description: 'H.264 encoder until an admin changes the encoding settings' },
+    encoderPreset: { type: 'enum', values: ['ultrafast', 'superfast', 'veryfast', 'faster', 'fast', 'medium', 'slow', 'slower', 'veryslow'], default: 'fast', env: 'UMX_ENCODER_PRESET', description: 'Encoder speed until an admin changes the encoding settings' },
+    audioBitrate: { type: 'enum', values: ['96k', '128k', '160k', '192k', '256k', '320k'], default: '192k', env: 'UMX_AUDIO_BITRATE', description: 'AAC bitrate of the MP4, MKV and MOV profiles' },
+    jobTtlHours: { type: 'number', min: 0, default: 6, env: 'UMX_JOB_TTL_HOURS', description: 'Finished-but-unfetched outputs and stalled .part files expire after this' },
+    jobRecordHours: { type: 'number', min: 0, default: 24, env: 'UMX_JOB_RECORD_HOURS', description: 'Failed, cancelled and expired job records are dropped after this' },
+    maxTempGb: { type: 'number', min: 0, default: 50, env: 'UMX_MAX_TEMP_GB', description: 'New jobs wait in the queue above this temp size (0 = no limit)' },
+    minFreeGb: { type: 'number', min: 0, default: 2, env: 'UMX_MIN_FREE_GB', description: 'New jobs are refused below this free disk space (0 = no check)' },
+    janitorMinutes: { type: 'number', min: 0.1, default: 10, env: 'UMX_JANITOR_MINUTES', description: 'Temp folder sweep interval' },
+    library: { type: 'boolean', default: true, env: 'UMX_LIBRARY', description: 'Retain finished outputs in the shared library' },
+    libraryGb: { type: 'number', min: 0, default: 100, env: 'UMX_LIBRARY_GB', description: 'Least recently used library items are evicted above this (0 = no limit)' },
+    historyLimit: { type: 'integer', min: 1, default: 5000, env: 'UMX_HISTORY_LIMIT', description: 'History entries across all users, oldest dropped first' },
+    logFormat: { type: 'enum', values: ['json', 'text'], default: 'json', env: 'UMX_LOG_FORMAT', description: 'One JSON object per log line, or the classic text lines for reading in a terminal' },
+    logLevel: { type: 'enum', values: ['debug', 'info', 'warn', 'error'], default: 'info', env: 'UMX_LOG_LEVEL', description: 'Lowest level written to stdout; debug adds progress ticks and raw yt-dlp/ffmpeg output' },
+    ytdlpMaxAgeDays: { type: 'integer', min: 0, default: 90, env: 'UMX_YTDLP_MAX_AGE_DAYS', description: 'Diagnostics flag yt-dlp releases older than this (0 = never)' },
+    analysisCacheMinutes: { type: 'number', min: 0, default: 30, env: 'UMX_ANALYSIS_CACHE_MINUTES', description: 'How long analysis results are reused (0 disables the cache)' },
+    auth: { type: 'boolean', default: true, env: 'UMX_AUTH', description: 'Require login; off restores the open single-user mode for local installs' },
+    adminPassword: { type: 'string', default: null, env: 'UMX_ADMIN_PASSWORD', secret: true, description: 'Password of the "admin" account created on first start' },
+    sessionDays: { type: 'number', min: 0.01, default: 7, env: 'UMX_SESSION_DAYS', description: 'Browser session lifetime' },
+    dailyDownloads: { type: 'integer', min: 0, default: 50, env: 'UMX_DAILY_DOWNLOADS', description: 'Default per-user daily job quota (0 = unlimited)' },
+    dailyGb: { type: 'number', min: 0, default: 20, env: 'UMX_DAILY_GB', description: 'Default per-user daily download volume (0 = unlimited)' },
+    corsOrigins: { type: 'list', default: [], env: 'UMX_CORS_ORIGINS', description: 'Trusted cross-origin callers' },
+    allowPrivateNets: { type: 'list', item: 'cidr', default: [], env: 'UMX_ALLOW_PRIVATE_NETS', description: 'LAN ranges exempt from the outbound URL guard, e.g. 192.168.1.20/32' },
+    rateApi: { type: 'rate', default: '600/min', env: 'UMX_RATE_API', description: 'Every /api call, generous enough for the UI\'s polling' },
+    rateAnalyze: { type: 'rate', default: '20/min', env: 'UMX_RATE_ANALYZE', description: 'Analyses (each spawns yt-dlp)' },
+    rateDownload: { type: 'rate', default: '30/min', env: 'UMX_RATE_DOWNLOAD', description: 'Job creation: download, batch, retry, resume' },
+    rateLogin: { type: 'rate', default: '10/min', env: 'UMX_RATE_LOGIN', description: 'Login attempts, always per IP' }
+};
+
+const configFlag = (key) => key.replace(/[A-Z]/g, c => '-' + c.toLowerCase());
+const configEnvNames = (spec) => [].concat(spec.env || []);
+
+const isCidr = (value) => {
+    const [address, prefix, extra] = value.split('/');
+    const max = net.isIP(address) === 6 ? 128 : 32;
+    return net.isIP(address) !== 0 && extra === undefined && (prefix === undefined || (/^\d+$/.test(prefix) && Number(prefix) <= max));
+};
+
+// Converts a raw value (a string from env/flags, or any JSON value from the file) to the setting's type.
+// Throws with the reason it was rejected; `baseDir` anchors relative paths
+const coerceSetting = (spec, raw, baseDir) => {
+    const text = typeof raw === 'string' ? raw.trim() : raw;
+    switch (spec.type) {
+        case 'integer':
+        case 'number': {
+            const value = typeof text === 'number' ? text : (/^-?\d+(\.\d+)?$/.test(text) ? Number(text) : NaN);
+            const bounds = spec.max !== undefined ? `from ${spec.min} to ${spec.max}` : `at least ${spec.min}`;
+            if (!Number.isFinite(value) || (spec.type === 'integer' && !Number.isInteger(value))) throw new Error(`must be ${spec.type === 'integer' ? 'a whole number' : 'a number'}, ${bounds}`);
+            if (value < spec.min || (spec.max !== undefined && value > spec.max)) throw new Error(`must be ${bounds}`);
+            return value;
+        }
+        case 'boolean':
+            if (typeof text === 'boolean') return text;
+            if (/^(on|true|yes|1)$/i.test(text)) return true;
+            if (/^(off|false|no|0)$/i.test(text)) return false;
+            throw new Error('must be on or off');
+        case 'enum':
+            if (!spec.values.includes(text)) throw new Error(`must be one of ${spec.values.join(', ')}`);
+            return text;
+        case 'rate':
+            if (text !== 'off' && !(/^\d+\s*\/\s*(s|min|h)$/.test(text) && parseInt(text, 10) > 0)) throw new Error('must be a rate like "20/min" or "off"');
+            return text;
+        case 'path':
+            if (typeof text !== 'string' || !text) throw new Error('must be a file path');
+            return path.resolve(baseDir, text);
+        case 'list': {
+            const items = Array.isArray(text) ? text.map(String) : (typeof text === 'string' ? text.split(',') : null);
+            if (!items) throw new Error('must be a list or a comma separated string');
+            const list = items.map(item => item.trim()).filter(Boolean);
+            const bad = spec.item === 'cidr' ? list.filter(item => !isCidr(item)) : [];
+            if (bad.length) throw new Error(`has invalid network range(s): ${bad.join(', ')}`);
+            return list;
+        }
+        default:
+            if (typeof text !== 'string') throw new Error('must be a string');
+            if (spec.pattern && !spec.pattern.test(text)) throw new Error(`must be ${spec.hint}`);
+            return text;
+    }
+};
+
+// Flags only count when server.js is the entry point; the CLI's local mode requires it with its own argv
+const parseConfigFlags = (argv) => {
+    const flags = {};
+    const errors = [];
+    for (let i = 0; i < argv.length; i++) {
+        const match = argv[i].match(/^--(no-)?([a-z][a-z-]*)(?:=(.*))?$/);
+        const key = match && (match[2] === 'config' || match[2] === 'help' ? match[2] : Object.keys(CONFIG_SCHEMA).find(k => configFlag(k) === match[2]));
+        if (!key) {
+            errors.push(`Unknown option "${argv[i]}"`);
+            continue;
+        }
+        if (key === 'help') {
+            flags.help = true;
+        } else if (match[1] || (CONFIG_SCHEMA[key] && CONFIG_SCHEMA[key].type === 'boolean' && match[3] === undefined && (argv[i + 1] || '--').startsWith('--'))) {
+            if (!CONFIG_SCHEMA[key] || CONFIG_SCHEMA[key].type !== 'boolean') errors.push(`--no-${match[2]} only works for on/off settings`);
+            else flags[key] = match[1] ? 'off' : 'on'; // Bare --auth / --no-auth
+        } else if (match[3] !== undefined) {
+            flags[key] = match[3];
+        } else if (i + 1 < argv.length) {
+            flags[key] = argv[++i];
+        } else {
+            errors.push(`--${match[2]} needs a value`);
+        }
+    }
+    return { flags, errors };
+};
+
+const configUsage = () => [
+    'Usage: node server.js [--config <file>] [--<setting> <value>] ...',
+    '',
+    'Settings (default -> config file -> environment -> flag):',
+    ...Object.entries(CONFIG_SCHEMA).map(([key, spec]) => {
+        const shown = spec.secret || spec.default === null ? 'unset' : (Array.isArray(spec.default) ? spec.default.join(',') || 'none' : spec.default);
+        return `  --${configFlag(key).padEnd(24)} ${spec.description} [${spec.type === 'enum' ? spec.values.join('|') : spec.type}, env ${configEnvNames(spec).join(' or ')}, default ${shown}]`;
+    })
+].join('\n');
+
+// Resolves every layer, reporting all invalid values at once; returns { values, sources, file }
+const loadConfig = () => {
+    const { flags, errors } = require.main === module ? parseConfigFlags(process.argv.slice(2)) : { flags: {}, errors: [] };
+    if (flags.help) {
+        console.log(configUsage());
+        process.exit(0);
+    }
+
+    const explicitFile = flags.config || process.env.UMX_CONFIG;
+    const file = path.resolve(explicitFile || path.join(__dirname, 'umx.config.json'));
+    let fileValues = {};
+    if (fs.existsSync(file)) {
+        try {
+            fileValues = JSON.parse(fs.readFileSync(file, 'utf8'));
+            if (!fileValues || typeof fileValues !== 'object' || Array.isArray(fileValues)) throw new Error('expected a JSON object');
+            Object.keys(fileValues).filter(key => !CONFIG_SCHEMA[key]).forEach(key => errors.push(`${file}: unknown setting "${key}"`));
+        } catch (err) {
+            errors.push(`${file} is not a valid config file: ${err.message}`);
+            fileValues = {};
+        }
+    } else if (explicitFile) {
+        errors.push(`Config file ${file} does not exist`);
+    }
+
+    const values = {}, sources = {};
+    Object.entries(CONFIG_SCHEMA).forEach(([key, spec]) => {
+        const envName = configEnvNames(spec).find(name => process.env[name] !== undefined && process.env[name] !== '');
+        const layers = [
+            ['default', spec.default, __dirname],
+            ['file', fileValues[key], path.dirname(file)],
+            [envName && `env ${envName}`, envName && process.env[envName], process.cwd()],
+            ['flag', flags[key], process.cwd()]
+        ];
+        const [source, raw, baseDir] = layers.filter(([, value]) => value !== undefined && value !== null).pop() || layers[0];
+        sources[key] = source;
+        if (raw === null) {
+            values[key] = null; // Optional settings without a default
+            return;
+        }
+        try {
+            values[key] = coerceSetting(spec, raw, baseDir);
+        } catch (err) {
+            const shown = spec.secret ? '(hidden)' : JSON.stringify(raw);
+            errors.push(`${key} = ${shown} from ${source === 'flag' ? `--${configFlag(key)}` : source}: ${err.message}`);
+        }
+    });
+
+    if (errors.length) {
+        console.error(`Invalid configuration:\n${errors.map(e => `  - ${e}`).join('\n')}\nRun "node server.js --help" for the accepted settings.`);
+        process.exit(1);
+    }
+    return { values, sources, file: fs.existsSync(file) ? file : null };
+};
+
+const { values: config, sources: configSources, file: CONFIG_FILE } = loadConfig();
+
+const PORT = config.port;
+const COOKIES = config.cookiesFile;
+// Separate state directories let the CLI's local mode run next to a live server without sharing its stores
+const TEMP_DIR = config.tempDir;
+const DATA_DIR = config.dataDir;
+const JOB_STORE = path.join(DATA_DIR, 'jobs.json');
+const MAX_CONCURRENT_JOBS = config.maxConcurrentJobs;
+const MAX_CONCURRENT_ANALYZES = config.maxConcurrentAnalyzes;
+const JSON_BODY_LIMIT = config.jsonBodyLimit;
+const MAX_BATCH_ENTRIES = config.maxBatchEntries;
+// Disk housekeeping (see DISK JANITOR); size limits of 0 disable the check
+const JOB_TTL = config.jobTtlHours * 60 * 60 * 1000;
+const JOB_RECORD_TTL = config.jobRecordHours * 60 * 60 * 1000;
+const MAX_TEMP_BYTES = Math.round(config.maxTempGb * 1024 ** 3);
+const MIN_FREE_BYTES = Math.round(config.minFreeGb * 1024 ** 3);
+const JANITOR_INTERVAL = config.janitorMinutes * 60 * 1000;
+const LIBRARY_MAX_BYTES = Math.round(config.libraryGb * 1024 ** 3);
+const HISTORY_LIMIT = config.historyLimit;
+const ANALYSIS_CACHE_TTL = config.analysisCacheMinutes * 60 * 1000;
+const USER_STORE = path.join(DATA_DIR, 'users.json');
+const COOKIE_DIR = path.join(DATA_DIR, 'cookies');
+const COOKIE_STORE = path.join(DATA_DIR, 'cookie-profiles.json');
+const HISTORY_STORE = path.join(DATA_DIR, 'history.json');
+const ENCODING_STORE = path.join(DATA_DIR, 'encoding.json');
+const JOB_LOG_DIR = path.join(DATA_DIR, 'job-logs');
+const LIBRARY_DIR = path.join(DATA_DIR, 'library');
+const LIBRARY_STORE = path.join(DATA_DIR, 'library.json');
+const LIBRARY_ENABLED = config.library; // Off goes back to delete-after-fetch
+const AUTH_ENABLED = config.auth;
+const SESSION_TTL = config.sessionDays * 24 * 60 * 60 * 1000;
+// Server-wide daily quotas; users can carry their own overrides, 0 means unlimited
+const DEFAULT_QUOTA = {
+    dailyDownloads: config.dailyDownloads,
+    dailyBytes: Math.round(config.dailyGb * 1024 ** 3)
+};
+const CORS_ORIGINS = config.corsOrigins;
+
+// --- SYSTEM LOGGER HELPER ---
+// Structured lines ({ time, level, tag, jobId, msg }) on stdout. Tags stay the free-form categories used
+// throughout (CODEC, QUEUE, ...) and decide the level. Job lines are also kept in that job's own log (see JOB LOGS)
+const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const TAG_LEVELS = { PROGRESS: 'debug', WARN: 'warn', ERROR: 'error', CRITICAL: 'error' };
+
+const writeLog = (level, tag, jobId, message) => {
+    if (LOG_LEVELS[level] < LOG_LEVELS[config.logLevel]) return;
+    const time = new Date().toISOString();
+    if (config.logFormat === 'json') {
+        return console.log(JSON.stringify({ time, level, tag, ...(jobId ? { jobId } : {}), msg: message }));
+    }
+    const idTag = jobId ? `[Job: ${jobId.substring(0, 8)}]` : '[SYSTEM]';
+    console.log(`${time.replace(/T/, ' ').replace(/\..+/, '')} ${idTag} ${`[${tag}]`.padEnd(8)} ${message}`);
+};
+
+const logger = (jobId, message, type = 'INFO') => {
+    const level = TAG_LEVELS[type] || 'info';
+    writeLog(level, type, jobId, message);
+    if (jobId && level !== 'debug') appendJobLog(jobId, { level, source: 'server', msg: message });
+};
+
+// --- JOB LOGS ---
+// data/job-logs/<jobId>.log holds one JSON line per server message plus the job's yt-dlp and ffmpeg stderr, so a
+// failure can be read without server access. Process output stops at the size cap; server lines always get in
+const JOB_LOG_MAX_BYTES = 512 * 1024;
+const jobLogSizes = new Map(); // jobId -> bytes on disk, seeded from the file on first write
+
+const jobLogPath = (jobId) => path.join(JOB_LOG_DIR, `${jobId}.log`);
+
+const appendJobLog = (jobId, { level, source, msg }) => {
+    const file = jobLogPath(jobId);
+    let size = jobLogSizes.get(jobId);
+    if (size === undefined) size = fs.existsSync(file) ? fs.statSync(file).size : 0;
+    if (size >= JOB_LOG_MAX_BYTES && source !== 'server') return;
+
+    let line = JSON.stringify({ time: new Date().toISOString(), level, source, msg }) + '\n';
+    if (source !== 'server' && size + line.length >= JOB_LOG_MAX_BYTES) {
+        line = JSON.stringify({ time: new Date().toISOString(), level: 'warn', source: 'server', msg: `Log reached ${JOB_LOG_MAX_BYTES / 1024} KB, further ${source} output is dropped` }) + '\n';
+        size = JOB_LOG_MAX_BYTES; // Stays capped once the notice is written
+    }
+    try {
+        fs.appendFileSync(file, line);
+        jobLogSizes.set(jobId, Math.max(size + Buffer.byteLength(line), size));
+    } catch (err) {
+        writeLog('warn', 'WARN', jobId, `Job log write failed: ${err.message}`);
+    }
+};
+
+const readJobLog = (jobId) => {
+    if (!fs.existsSync(jobLogPath(jobId))) return [];
+    return fs.readFileSync(jobLogPath(jobId), 'utf8').split('\n').filter(Boolean).map(line => {
+        try {
+            return JSON.parse(line);
+        } catch (e) {
+            return null; // A line cut short by a crash
+        }
+    }).filter(Boolean);
+};
+
+// ffmpeg rewrites its stats line with carriage returns; those are noise next to the real messages
+const FFMPEG_STATS_LINE = /^\s*(frame|size)=/;
+
+// Line-buffered sink for a child process' stderr. Keeps the last lines in memory so failures can be explained
+const captureProcessOutput = (jobId, source) => {
+    let partial = '';
+    const tail = [];
+    const emit = (line) => {
+        if (!line.trim() || FFMPEG_STATS_LINE.test(line)) return;
+        const level = /^ERROR|error/i.test(line) ? 'error' : (/^WARNING/i.test(line) ? 'warn' : 'info');
+        tail.push(line);
+        if (tail.length > 20) tail.shift();
+        appendJobLog(jobId, { level, source, msg: line });
+        writeLog('debug', source.toUpperCase(), jobId, line);
+    };
+    return {
+        write(chunk) {
+            const lines = (partial + chunk).split(/\r\n|\r|\n/);
+            partial = lines.pop();
+            lines.forEach(emit);
+        },
+        flush() {
+            emit(partial);
+            partial = '';
+        },
+        tail: () => tail.join('\n')
+    };
+};
+
+// Logs of purged job records go with the janitor's next pass
+const sweepJobLogs = () => {
+    let removed = 0;
+    fs.readdirSync(JOB_LOG_DIR).forEach(name => {
+        const jobId = name.replace(/\.log$/, '');
+        if (jobs[jobId]) return;
+        try {
+            fs.unlinkSync(path.join(JOB_LOG_DIR, name));
+            jobLogSizes.delete(jobId);
+            removed++;
+        } catch (e) {}
+    });
+    return removed;
+};
+
+// --- FAILURE EXPLANATIONS ---
+// yt-dlp and ffmpeg fail with terse technical lines; the common causes get a reason the user can act on.
+// The class is stable for grouping (history, metrics); the raw message stays on the job as errorDetail
+const FAILURE_CLASSES = [
+    ['bot_check', /confirm you.?re not a bot/i, 'The site asked for a signed-in session to prove this is not a bot. Add a cookie profile for it and retry'],
+    ['age_restricted', /confirm your age|age.restricted|inappropriate for some users/i, 'This video is age-restricted. Add a cookie profile from an account that is allowed to watch it'],
+    ['members_only', /members.only|join this channel|requires premium|premium members/i, 'This is members-only or premium content. It needs cookies from an account with access'],
+    ['login_required', /private video|this video is private|login required|requires authentication|account cookies/i, 'This media is private or needs a login. Add a cookie profile for this site'],
+    ['geo_blocked', /not available in your country|geo.?restrict|blocked it in your country|from your location/i, 'This media is blocked in the server\'s region'],
+    ['not_started', /live event will begin|premieres in|is upcoming|has not started/i, 'This live stream or premiere has not started yet'],
+    ['unavailable', /video unavailable|this video is unavailable|has been removed|no longer available|does not exist|HTTP Error 404/i, 'The media is unavailable. It may have been removed or made private'],
+    ['format_unavailable', /requested format is not available|format is not available/i, 'The selected quality is no longer offered. Analyze the link again and pick another format'],
+    ['rate_limited', /HTTP Error 429|too many requests/i, 'The site is rate-limiting this server. Try again later'],
+    ['forbidden', /HTTP Error 403|forbidden/i, 'The site refused the download (HTTP 403). Cookies may have expired or yt-dlp may need an update'],
+    ['unsupported', /unsupported url/i, 'This site or link type is not supported'],
+    ['disk_full', /no space left on device|ENOSPC/i, 'The server ran out of disk space'],
+    ['ffmpeg_missing', /ffmpeg (is )?not (found|installed)|ffprobe and ffmpeg not found|spawn ffmpeg ENOENT/i, 'ffmpeg is not installed on the server'],
+    ['encode_failed', /conversion failed|postprocessing|error (while|initializing)|invalid data found|encoder/i, null], // Reason carries ffmpeg's own line
+    ['network', /timed out|connection (reset|refused|aborted)|ECONNRESET|ETIMEDOUT|name resolution|getaddrinfo|unable to download/i, 'A network error interrupted the download. Retry the job']
+];
+
+// Drops the noise around yt-dlp's message: exit code prefix, "ERROR:", "[extractor] id:"
+const cleanFailureMessage = (message) => String(message || 'Unknown error')
+    .replace(/^yt-dlp exited with code \d+:\s*/i, '')
+    .replace(/^ERROR:\s*/i, '')
+    .replace(/^\[[^\]]+\]\s*(\S+:\s+)?/, '')
+    .trim();
+
+// `output` is the tail of the process' stderr, which often names the cause the exception message does not
+const explainFailure = (message, output = '') => {
+    const detail = cleanFailureMessage(message);
+    const text = `${message}\n${output}`;
+    const match = FAILURE_CLASSES.find(([, pattern]) => pattern.test(text));
+    if (!match) return { errorClass: 'unknown', reason: detail, detail };
+    const [errorClass, , reason] = match;
+    return { errorClass, reason: reason || `Converting the file failed: ${detail}`, detail };
+};
+
+// Marks a job failed with an explained reason; the caller logs and touches the job
+const failJob = (jobId, err, output = '') => {
+    const { errorClass, reason, detail } = explainFailure(err.message, output);
+    Object.assign(jobs[jobId], { status: 'error', error: reason, errorClass, errorDetail: detail });
+};
 
 // --- INITIALIZATION ---
-app.use(cors());
-app.use(express.json());
+app.set('trust proxy', 'loopback'); // cloudflared connects from localhost; trust its X-Forwarded-* headers only
+app.use(cors({ origin: CORS_ORIGINS.length ? CORS_ORIGINS : false, credentials: true }));
+app.use(express.json({ limit: JSON_BODY_LIMIT }));
+
+if (!fs.existsSync(TEMP_DIR)) {
+    logger(null, `Creating temporary directory at: ${TEMP_DIR}`, "SYSTEM");
+    fs.mkdirSync(TEMP_DIR, { recursive: true });
+}
+
+if (!fs.existsSync(DATA_DIR)) {
+    logger(null, `Creating data directory at: ${DATA_DIR}`, "SYSTEM");
+    fs.mkdirSync(DATA_DIR, { recursive: true });
+}
+
+if (!fs.existsSync(JOB_LOG_DIR)) fs.mkdirSync(JOB_LOG_DIR);
+
+const jobs = {};
+const batches = {};
+const jobQueue = []; // Ordered jobIds waiting for a free pipeline slot
+const activeProcesses = {}; // jobId -> running yt-dlp builder or ffmpeg child, so jobs can be paused or cancelled
+// jobId -> token of the run that owns the job. Pause, cancel and retry can start a new run before the killed one
+// settles, so each run checks it is still current before touching the job, its files or its process slot
+const currentRuns = {};
+
+// --- PERSISTENT JOB STORE ---
+// Jobs & batches are mirrored to a JSON file so a restart doesn't orphan their files in temp/
+let storeTimer = null;
+
+const writeJobStore = () => {
+    storeTimer = null;
+    try {
+        // Write to a sibling file first so a crash mid-write never leaves a truncated store
+        const tmpFile = JOB_STORE + '.tmp';
+        fs.writeFileSync(tmpFile, JSON.stringify({ jobs, batches, queue: jobQueue }, null, 2));
+        fs.renameSync(tmpFile, JOB_STORE);
+    } catch (err) {
+        logger(null, `Job store write failed: ${err.message}`, "ERROR");
+    }
+};
+
+// Progress ticks are batched; status transitions pass immediate=true so they are never lost
+const saveJobStore = (immediate = false) => {
+    if (immediate) {
+        if (storeTimer) clearTimeout(storeTimer);
+        return writeJobStore();
+    }
+    if (!storeTimer) storeTimer = setTimeout(writeJobStore, 1000);
+};
+
+// Library-backed jobs point at the retained copy instead of a temp file
+const jobOutputPath = (job) => path.join(job.libraryId ? LIBRARY_DIR : TEMP_DIR, job.file);
+
+const loadJobStore = () => {
+    if (!fs.existsSync(JOB_STORE)) return;
+    try {
+        const stored = JSON.parse(fs.readFileSync(JOB_STORE, 'utf8'));
+        Object.assign(jobs, stored.jobs || {});
+        Object.assign(batches, stored.batches || {});
+        jobQueue.push(...(stored.queue || []).filter(id => jobs[id] && jobs[id].status === 'queued'));
+    } catch (err) {
+        logger(null, `Job store unreadable, starting empty: ${err.message}`, "WARN");
+        return;
+    }
+
+    // Anything still "downloading" was cut off by the restart
+    let interrupted = 0, lost = 0;
+    Object.entries(jobs).forEach(([jobId, job]) => {
+        if (job.status === 'downloading') {
+            job.resumable = Boolean(job.url && job.formatSelection);
+            job.status = job.resumable ? 'interrupted' : 'error';
+            if (!job.resumable) Object.assign(job, { error: 'Interrupted by a server restart', errorClass: 'interrupted' });
+            interrupted++;
+        } else if (job.status === 'completed' && !(job.file && fs.existsSync(jobOutputPath(job)))) {
+            job.status = 'error';
+            job.error = 'Output file was lost during a server restart';
+            job.errorClass = 'output_lost';
+            lost++;
+        }
+    });
+
+    logger(null, `Job store restored: ${Object.keys(jobs).length} jobs (${interrupted} interrupted, ${lost} lost, ${jobQueue.length} queued)`);
+    saveJobStore(true);
+};
+loadJobStore();
+
+// --- JOB EVENTS ---
+// Every job mutation goes through touchJob so SSE listeners see exactly what /api/status returns
+const jobEvents = new EventEmitter();
+jobEvents.setMaxListeners(0); // One listener per open browser tab
+
+const jobSnapshot = (jobId) => jobs[jobId] ? {
+    jobId, ...jobs[jobId], queuePosition: queuePosition(jobId), waitingForDisk: jobs[jobId].status === 'queued' && Boolean(diskHoldTimer)
+} : null;
+
+const touchJob = (jobId, immediate = false) => {
+    if (jobs[jobId]) jobs[jobId].updatedAt = Date.now(); // The janitor measures idle time from here
+    if (jobs[jobId]) jobEvents.emit(jobId, jobSnapshot(jobId));
+    trackJobMetrics(jobId);
+    syncJobHistory(jobId);
+    saveJobStore(immediate);
+};
+
+// Queue moves shift everyone behind them, so every waiting job gets a fresh position
+const publishQueue = () => jobQueue.forEach(id => jobEvents.emit(id, jobSnapshot(id)));
+
+// --- METRICS ---
+// Counters and histograms for GET /metrics (Prometheus text format). They live in memory, a restart resets them
+// like any exporter's. Gauges such as queue length and temp usage are read at scrape time instead
+const PHASE_BUCKETS = [1, 5, 15, 30, 60, 120, 300, 600, 1800, 3600]; // Seconds
+
+const metrics = {
+    analyses: { name: 'umx_analyses_total', type: 'counter', help: 'Media analyses by platform, cache use and result', series: new Map() },
+    downloads: { name: 'umx_downloads_total', type: 'counter', help: 'Download jobs that reached a final status, by platform', series: new Map() },
+    failures: { name: 'umx_job_failures_total', type: 'counter', help: 'Failed download jobs by error class', series: new Map() },
+    encoders: { name: 'umx_encoder_jobs_total', type: 'counter', help: 'Completed download jobs by encode path and video encoder', series: new Map() },
+    delivered: { name: 'umx_delivered_bytes_total', type: 'counter', help: 'Bytes of output files sent to clients', series: new Map() },
+    phases: { name: 'umx_job_phase_duration_seconds', type: 'histogram', help: 'Time download jobs spent in each pipeline phase', buckets: PHASE_BUCKETS, series: new Map() }
+};
+
+// Callers pass labels in a fixed order, so the serialized object is a stable series key
+const countMetric = (metric, labels, by = 1) => {
+    const key = JSON.stringify(labels);
+    const entry = metric.series.get(key) || { labels, value: 0 };
+    entry.value += by;
+    metric.series.set(key, entry);
+};
+
+const observeMetric = (metric, labels, value) => {
+    const key = JSON.stringify(labels);
+    const entry = metric.series.get(key) || { labels, counts: metric.buckets.map(() => 0), sum: 0, count: 0 };
+    metric.buckets.forEach((le, idx) => { if (value <= le) entry.counts[idx]++; });
+    entry.sum += value;
+    entry.count++;
+    metric.series.set(key, entry);
+};
+
+// Sites without a URL rule collapse into "other": a series per hostname would let any caller grow the output
+const platformLabel = (url) => {
+    try {
+        return findUrlRule(new URL(url).hostname.toLowerCase()) ? detectPlatform(url) : 'other';
+    } catch (e) {
+        return 'other';
+    }
+};
+
+const countAnalysis = (url, cache, result) => countMetric(metrics.analyses, { platform: platformLabel(url), cache, result });
+
+// Keyed by the record itself, so the state goes away with it; a restored job starts a fresh phase timer
+const jobMetricState = new WeakMap(); // job -> { phase, since, final }
+
+// Runs on every touchJob: closes the running phase's timer when the phase changes and counts each final outcome once.
+// Paused and interrupted time is its own "phase" so it does not inflate the phase the job stopped in
+const trackJobMetrics = (jobId) => {
+    const job = jobs[jobId];
+    if (!job) return;
+    const now = Date.now();
+    const final = FINAL_STATUSES.includes(job.status);
+    const phase = final ? null : (['paused', 'interrupted'].includes(job.status) ? job.status : job.phase || null);
+    const state = jobMetricState.get(job) || { phase: null, since: now, final: false };
+    jobMetricState.set(job, state);
+
+    if (state.phase !== phase) {
+        if (state.phase) observeMetric(metrics.phases, { phase: state.phase }, (now - state.since) / 1000);
+        state.phase = phase;
+        state.since = now;
+    }
+    if (final && !state.final) {
+        countMetric(metrics.downloads, { platform: platformLabel(job.url), status: job.status });
+        if (job.status === 'error') countMetric(metrics.failures, { error_class: job.errorClass || 'unknown' });
+        if (job.status === 'completed' && !job.fromLibrary) {
+            countMetric(metrics.encoders, { encode_path: job.encodePath || 'unknown', encoder: job.encoder || 'none', fallback: String(Boolean(job.encoderFallback)) });
+        }
+    }
+    state.final = final; // A retry leaves the final state, so its outcome counts again
+};
+
+// --- HISTORY ---
+// Every analysis and download per user, kept server-side so it follows people across devices. Download
+// entries are created with their job and mirror it through touchJob; they outlive the job record itself
+const history = []; // Newest first
+const historyById = new Map();
+let historyTimer = null;
+
+const writeHistory = () => {
+    historyTimer = null;
+    try {
+        const tmpFile = HISTORY_STORE + '.tmp';
+        fs.writeFileSync(tmpFile, JSON.stringify(history));
+        fs.renameSync(tmpFile, HISTORY_STORE);
+    } catch (err) {
+        logger(null, `History write failed: ${err.message}`, "ERROR");
+    }
+};
+
+const saveHistory = (immediate = false) => {
+    if (immediate) {
+        if (historyTimer) clearTimeout(historyTimer);
+        return writeHistory();
+    }
+    if (!historyTimer) historyTimer = setTimeout(writeHistory, 1000);
+};
+
+if (fs.existsSync(HISTORY_STORE)) {
+    try {
+        history.push(...JSON.parse(fs.readFileSync(HISTORY_STORE, 'utf8')));
+        history.forEach(entry => historyById.set(entry.id, entry));
+    } catch (err) {
+        logger(null, `History unreadable, starting empty: ${err.message}`, "WARN");
+    }
+}
+
+const removeHistory = (entry) => {
+    const idx = history.indexOf(entry);
+    if (idx !== -1) history.splice(idx, 1);
+    historyById.delete(entry.id);
+};
+
+const addHistory = (fields) => {
+    const entry = { id: uuidv4(), createdAt: Date.now(), ...fields };
+    history.unshift(entry);
+    historyById.set(entry.id, entry);
+    while (history.length > HISTORY_LIMIT) historyById.delete(history.pop().id);
+    saveHistory();
+    return entry;
+};
+
+// Re-analysing a link moves it to the top instead of listing it twice
+const recordAnalysis = (username, payload) => {
+    const previous = history.find(h => h.kind === 'analysis' && h.user === username && h.url === payload.url);
+    if (previous) removeHistory(previous);
+    addHistory({
+        kind: 'analysis', user: username, url: payload.url, title: payload.title, thumbnail: payload.thumbnail,
+        platform: payload.platform, type: payload.type, mediaDuration: payload.duration || null,
+        entries: payload.entries ? payload.entries.length : undefined
+    });
+};
+
+const FINAL_STATUSES = ['completed', 'error', 'cancelled', 'expired'];
+
+// Status transitions only; progress ticks pass through untouched
+const syncJobHistory = (jobId) => {
+    const job = jobs[jobId];
+    const entry = job && job.historyId && historyById.get(job.historyId);
+    if (!entry || entry.status === job.status) return;
+
+    entry.status = job.status;
+    entry.encodePath = job.encodePath;
+    if (job.encoder) entry.encoder = job.encoder;
+    if (job.error) Object.assign(entry, { error: job.error, errorClass: job.errorClass || 'unknown' });
+    else {
+        delete entry.error;
+        delete entry.errorClass;
+    }
+    if (job.fileSize) entry.size = job.fileSize;
+    if (job.fromLibrary) entry.fromLibrary = true;
+    if (job.retries) entry.retries = job.retries;
+    if (FINAL_STATUSES.includes(job.status)) {
+        entry.finishedAt = Date.now();
+        entry.durationMs = entry.finishedAt - (job.createdAt || entry.createdAt);
+    }
+    saveHistory(FINAL_STATUSES.includes(job.status));
+};
+
+// --- USERS, SESSIONS & QUOTAS ---
+// Accounts, hashed API keys, login sessions and daily usage live in their own store next to jobs.json
+const userStore = { users: {}, sessions: {}, usage: {} };
+const SESSION_COOKIE = 'umx_session';
+
+const saveUserStore = () => {
+    try {
+        const tmpFile = USER_STORE + '.tmp';
+        fs.writeFileSync(tmpFile, JSON.stringify(userStore, null, 2));
+        fs.renameSync(tmpFile, USER_STORE);
+    } catch (err) {
+        logger(null, `User store write failed: ${err.message}`, "ERROR");
+    }
+};
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+const hashPassword = (password, salt = crypto.randomBytes(16).toString('hex')) =>
+    `scrypt$${salt}$${crypto.scryptSync(password, salt, 64).toString('hex')}`;
+
+const verifyPassword = (password, stored) => {
+    const [, salt, hash] = String(stored || '').split('$');
+    if (!salt || !hash) return false;
+    const expected = Buffer.from(hash, 'hex');
+    const candidate = crypto.scryptSync(password, salt, expected.length);
+    return crypto.timingSafeEqual(candidate, expected);
+};
+
+// Plain-object lookups would otherwise resolve names like "constructor" to prototype members
+const findUser = (username) => Object.hasOwn(userStore.users, username) ? userStore.users[username] : null;
+
+// Only the keys present are validated, so PATCH requests can change one limit at a time
+const normalizeQuota = (quota = {}) => {
+    const result = {};
+    ['dailyDownloads', 'dailyBytes'].filter(key => key in quota).forEach(key => {
+        const value = quota[key];
+        if (value === null || value === '') return result[key] = null; // null falls back to the server default
+        const n = Number(value);
+        if (!Number.isInteger(n) || n < 0) throw new Error(`${key} must be a whole number >= 0 (0 = unlimited)`);
+        result[key] = n;
+    });
+    return result;
+};
+
+const validatePassword = (password) => {
+    if (typeof password !== 'string' || password.length < 8) throw new Error('Password must be at least 8 characters');
+};
+
+const createUser = ({ username, password, role = 'user', quota = {} }) => {
+    if (!/^[a-z0-9_.-]{3,32}$/i.test(username || '')) throw new Error('Username must be 3-32 letters, digits, dots, dashes or underscores');
+    if (findUser(username)) throw new Error(`User "${username}" already exists`);
+    validatePassword(password);
+    if (!['admin', 'user'].includes(role)) throw new Error('Role must be "admin" or "user"');
+
+    userStore.users[username] = {
+        role, password: hashPassword(password), apiKeys: [],
+        quota: { dailyDownloads: null, dailyBytes: null, ...normalizeQuota(quota) }, createdAt: Date.now()
+    };
+    saveUserStore();
+    return userStore.users[username];
+};
+
+const loadUserStore = () => {
+    if (fs.existsSync(USER_STORE)) {
+        try {
+            Object.assign(userStore, JSON.parse(fs.readFileSync(USER_STORE, 'utf8')));
+        } catch (err) {
+            // Starting empty would mint a fresh admin and silently lock everyone else out
+            logger(null, `User store unreadable, refusing to start: ${err.message}`, "CRITICAL");
+            process.exit(1);
+        }
+    }
+
+    // Sessions that expired while the server was down
+    Object.keys(userStore.sessions).forEach(token => {
+        if (userStore.sessions[token].expiresAt < Date.now()) delete userStore.sessions[token];
+    });
+
+    if (AUTH_ENABLED && Object.keys(userStore.users).length === 0) {
+        const password = config.adminPassword || crypto.randomBytes(9).toString('base64url');
+        createUser({ username: 'admin', password, role: 'admin' });
+        logger(null, `First start: created user "admin" ${config.adminPassword ? 'with the configured adminPassword' : `with password ${password} (change it after logging in)`}`, "AUTH");
+    }
+    saveUserStore();
+};
+loadUserStore();
+
+// Usage counters roll over at midnight UTC
+const today = () => new Date().toISOString().slice(0, 10);
+
+const usageFor = (username) => {
+    const entry = userStore.usage[username];
+    if (!entry || entry.day !== today()) userStore.usage[username] = { day: today(), downloads: 0, bytes: 0 };
+    return userStore.usage[username];
+};
+
+const effectiveQuota = (username) => {
+    const own = (findUser(username) || {}).quota || {};
+    return {
+        dailyDownloads: own.dailyDownloads ?? DEFAULT_QUOTA.dailyDownloads,
+        dailyBytes: own.dailyBytes ?? DEFAULT_QUOTA.dailyBytes
+    };
+};
+
+// User-facing reason why `count` more downloads would break today's quota, or null when they fit
+const quotaError = (user, count = 1) => {
+    if (!AUTH_ENABLED) return null;
+    const usage = usageFor(user.username);
+    const quota = effectiveQuota(user.username);
+    if (quota.dailyDownloads && usage.downloads + count > quota.dailyDownloads) {
+        return `Daily download quota reached (${usage.downloads}/${quota.dailyDownloads} used today)`;
+    }
+    if (quota.dailyBytes && usage.bytes >= quota.dailyBytes) {
+        return `Daily data quota reached (${(usage.bytes / 1024 ** 3).toFixed(2)} of ${(quota.dailyBytes / 1024 ** 3).toFixed(2)} GB used today)`;
+    }
+    return null;
+};
+
+// Downloads count when a job is created, bytes once its output exists
+const recordUsage = (username, { downloads = 0, bytes = 0 }) => {
+    if (!username) return;
+    const usage = usageFor(username);
+    usage.downloads += downloads;
+    usage.bytes += bytes;
+    saveUserStore();
+};
+
+const readCookie = (req, name) => {
+    const match = (req.headers.cookie || '').split(';').map(c => c.trim()).find(c => c.startsWith(`${name}=`));
+    return match ? decodeURIComponent(match.slice(name.length + 1)) : null;
+};
+
+const sessionCookie = (req, token, maxAgeMs) => [
+    `${SESSION_COOKIE}=${token}`, 'Path=/', 'HttpOnly', 'SameSite=Lax', `Max-Age=${Math.floor(maxAgeMs / 1000)}`,
+    ...(req.secure ? ['Secure'] : []) // The tunnel is HTTPS, plain localhost is not
+].join('; ');
+
+// Resolves the caller from an API key (Authorization: Bearer / X-API-Key) or the UI session cookie
+const identifyUser = (req, res, next) => {
+    req.user = null;
+    if (!AUTH_ENABLED) {
+        req.user = { username: 'local', role: 'admin' };
+        return next();
+    }
+
+    const bearer = (req.headers.authorization || '').match(/^Bearer\s+(.+)$/i);
+    const apiKey = req.headers['x-api-key'] || (bearer && bearer[1]);
+    if (apiKey) {
+        const keyHash = sha256(apiKey);
+        for (const [username, user] of Object.entries(userStore.users)) {
+            const key = user.apiKeys.find(k => k.hash === keyHash);
+            if (key) {
+                key.lastUsedAt = Date.now(); // Persisted with the next user store write
+                req.user = { username, role: user.role, via: 'api_key', keyId: key.id };
+                break;
+            }
+        }
+        return next();
+    }
+
+    const token = readCookie(req, SESSION_COOKIE);
+    const session = token && userStore.sessions[sha256(token)];
+    if (session && session.expiresAt > Date.now() && findUser(session.username)) {
+        req.user = { username: session.username, role: findUser(session.username).role, via: 'session' };
+    }
+    next();
+};
+
+const PUBLIC_API = ['/login', '/logout', '/health'];
+const requireAuth = (req, res, next) => {
+    if (req.user || PUBLIC_API.includes(req.path)) return next();
+    res.status(401).json({ error: 'Login required' });
+};
+
+const requireAdmin = (req, res, next) => {
+    if (req.user && req.user.role === 'admin') return next();
+    res.status(403).json({ error: 'Admin access required' });
+};
+
+// Keys and passwords only exist for real accounts, not the implicit user of an auth-less server
+const requireAccount = (req, res, next) => {
+    if (AUTH_ENABLED) return next();
+    res.status(409).json({ error: 'Authentication is disabled on this server (UMX_AUTH=off)' });
+};
+
+const canAccess = (user, record) => user.role === 'admin' || record.owner === user.username;
+
+// --- RATE LIMITING ---
+// Token buckets per API key, or per client IP for browser sessions and anonymous calls. Limits read
+// "<tokens>/<s|min|h>": a full bucket allows that burst and refills continuously; "off" disables a tier.
+// Specs are already validated by the config schema
+const RATE_PERIODS = { s: 1000, min: 60 * 1000, h: 60 * 60 * 1000 };
+const parseRate = (spec) => {
+    if (spec === 'off') return null;
+    const match = spec.match(/^(\d+)\s*\/\s*(s|min|h)$/);
+    const capacity = parseInt(match[1], 10);
+    return { capacity, refillPerMs: capacity / RATE_PERIODS[match[2]], spec };
+};
+
+const RATE_LIMITS = {
+    api: parseRate(config.rateApi),
+    analyze: parseRate(config.rateAnalyze),
+    download: parseRate(config.rateDownload),
+    login: parseRate(config.rateLogin)
+};
+
+const rateBuckets = new Map(); // "<tier>:<identity>" -> { tokens, updatedAt, warned }
+
+const rateIdentity = (req) => (req.user && req.user.keyId ? `key:${req.user.keyId}` : `ip:${req.ip}`);
+
+// Takes one token; returns 0 when allowed, otherwise the whole seconds until the next token
+const takeToken = (tier, identity) => {
+    const limit = RATE_LIMITS[tier];
+    if (!limit) return 0;
+
+    const now = Date.now();
+    const id = `${tier}:${identity}`;
+    const bucket = rateBuckets.get(id) || { tokens: limit.capacity, updatedAt: now, warned: false };
+    bucket.tokens = Math.min(limit.capacity, bucket.tokens + (now - bucket.updatedAt) * limit.refillPerMs);
+    bucket.updatedAt = now;
+    rateBuckets.set(id, bucket);
+
+    if (bucket.tokens >= 1) {
+        bucket.tokens -= 1;
+        bucket.warned = false;
+        return 0;
+    }
+    // One log line per burst rather than one per rejected request
+    if (!bucket.warned) logger(null, `Rate limit "${tier}" (${limit.spec}) reached by ${identity}`, "WARN");
+    bucket.warned = true;
+    return Math.max(1, Math.ceil((1 - bucket.tokens) / limit.refillPerMs / 1000));
+};
+
+const tooManyRequests = (res, retryAfter, message) => {
+    res.setHeader('Retry-After', String(retryAfter));
+    res.status(429).json({ error: message, retryAfter });
+};
+
+const rateLimit = (tier) => (req, res, next) => {
+    const retryAfter = takeToken(tier, tier === 'login' ? `ip:${req.ip}` : rateIdentity(req));
+    if (!retryAfter) return next();
+    tooManyRequests(res, retryAfter, `Too many requests, please retry in ${retryAfter}s`);
+};
+
+// A bucket left alone for a full period is full again, so forgetting it changes nothing
+setInterval(() => {
+    const now = Date.now();
+    rateBuckets.forEach((bucket, id) => {
+        const limit = RATE_LIMITS[id.split(':')[0]];
+        if (!limit || bucket.tokens + (now - bucket.updatedAt) * limit.refillPerMs >= limit.capacity) rateBuckets.delete(id);
+    });
+}, 60 * 1000).unref();
+
+// Metadata probes run outside the download queue, so they get their own ceiling
+let activeAnalyses = 0;
+const limitConcurrentAnalyses = (req, res, next) => {
+    if (activeAnalyses >= MAX_CONCURRENT_ANALYZES) {
+        return tooManyRequests(res, 5, 'The server is busy analyzing other links, please retry in a few seconds');
+    }
+    activeAnalyses++;
+    res.on('close', () => activeAnalyses--);
+    next();
+};
+
+app.use(identifyUser);
+app.use('/api', rateLimit('api'));
+app.use('/api', requireAuth);
+
+// Non-admins only see their own jobs & batches; someone else's looks exactly like a missing one
+app.param('jobId', (req, res, next, jobId) => {
+    if (jobs[jobId] && req.user && !canAccess(req.user, jobs[jobId])) return res.status(404).json({ error: 'Job not found' });
+    next();
+});
+app.param('batchId', (req, res, next, batchId) => {
+    if (batches[batchId] && req.user && !canAccess(req.user, batches[batchId])) return res.status(404).json({ error: 'Batch not found' });
+    next();
+});
+
+// --- COOKIE PROFILES ---
+// Netscape cookie files uploaded per user (or shared by an admin) and picked per request by the media URL's domain.
+// The legacy cookies.txt (COOKIES) stays as the last-resort fallback
+const cookieProfiles = {};
+
+if (!fs.existsSync(COOKIE_DIR)) fs.mkdirSync(COOKIE_DIR);
+
+const saveCookieProfiles = () => {
+    try {
+        const tmpFile = COOKIE_STORE + '.tmp';
+        fs.writeFileSync(tmpFile, JSON.stringify(cookieProfiles, null, 2));
+        fs.renameSync(tmpFile, COOKIE_STORE);
+    } catch (err) {
+        logger(null, `Cookie profile store write failed: ${err.message}`, "ERROR");
+    }
+};
+
+if (fs.existsSync(COOKIE_STORE)) {
+    try {
+        Object.assign(cookieProfiles, JSON.parse(fs.readFileSync(COOKIE_STORE, 'utf8')));
+    } catch (err) {
+        logger(null, `Cookie profile store unreadable, starting empty: ${err.message}`, "WARN");
+    }
+}
+
+const cookieFilePath = (profileId) => path.join(COOKIE_DIR, `${profileId}.txt`);
+
+// Netscape format: domain, include-subdomains, path, secure, expiry (unix seconds, 0 = session), name, value
+const parseCookieFile = (text) => {
+    const cookies = [];
+    const badLines = [];
+    String(text || '').split(/\r?\n/).forEach((raw, idx) => {
+        let line = raw;
+        if (line.startsWith('#HttpOnly_')) line = line.slice('#HttpOnly_'.length);
+        else if (!line.trim() || line.startsWith('#')) return;
+
+        const fields = line.split('\t');
+        const expires = Number(fields[4]);
+        if (fields.length !== 7 || !fields[0] || !fields[5] || !Number.isFinite(expires)) return badLines.push(idx + 1);
+        cookies.push({ domain: fields[0].replace(/^\./, '').toLowerCase(), name: fields[5], expires });
+    });
+    return { cookies, badLines };
+};
+
+// Per-domain expiry overview. expiresAt is the latest persistent expiry, i.e. when the login is certainly gone
+const summarizeCookies = (cookies) => {
+    const now = Date.now() / 1000;
+    const domains = {};
+    cookies.forEach(c => {
+        const d = domains[c.domain] || (domains[c.domain] = { domain: c.domain, cookies: 0, expired: 0, session: 0, expiresAt: null });
+        d.cookies++;
+        if (c.expires === 0) return d.session++;
+        if (c.expires < now) d.expired++;
+        d.expiresAt = Math.max(d.expiresAt || 0, c.expires * 1000);
+    });
+    return Object.values(domains);
+};
+
+// Session cookies have no date, so a domain holding any of them is never considered expired
+const isSiteExpired = (site) => site.session === 0 && site.expiresAt < Date.now();
+
+const COOKIE_EXPIRY_WARNING = 7 * 24 * 60 * 60 * 1000; // Logins expiring within this are flagged ahead of time
+const isSiteExpiringSoon = (site) => !isSiteExpired(site) && site.session === 0 && site.expiresAt && site.expiresAt < Date.now() + COOKIE_EXPIRY_WARNING;
+
+// Validates an upload; throws with a user-facing message, returns the summary and non-fatal warnings
+const inspectCookieUpload = (text) => {
+    const { cookies, badLines } = parseCookieFile(text);
+    if (cookies.length === 0) throw new Error('Not a Netscape cookie file (export it with a "cookies.txt" browser extension)');
+
+    const summary = summarizeCookies(cookies);
+    if (summary.every(isSiteExpired)) throw new Error('Every cookie in this file has already expired, export a fresh copy');
+
+    const warnings = [];
+    if (badLines.length) warnings.push(`Skipped ${badLines.length} malformed line(s): ${badLines.slice(0, 5).join(', ')}${badLines.length > 5 ? '...' : ''}`);
+    summary.filter(isSiteExpired).forEach(d => warnings.push(`All cookies for ${d.domain} have expired`));
+    summary.filter(isSiteExpiringSoon).forEach(d => warnings.push(`Cookies for ${d.domain} expire on ${new Date(d.expiresAt).toISOString().slice(0, 10)}`));
+    return { summary, warnings };
+};
+
+const normalizeDomains = (domains) => {
+    const list = (Array.isArray(domains) ? domains : String(domains || '').split(','))
+        .map(d => String(d).trim().toLowerCase().replace(/^\*?\./, '')).filter(Boolean);
+    if (list.some(d => !/^[a-z0-9.-]+$/.test(d))) throw new Error('Domains must be plain hostnames like instagram.com');
+    return [...new Set(list)];
+};
+
+const hostMatches = (host, domain) => host === domain || host.endsWith(`.${domain}`);
+
+// Which profiles a user may use: their own, plus ones an admin assigned to them (or to "*")
+const profileVisibleTo = (user, profile) => user.role === 'admin' || profile.owner === user.username
+    || profile.users.includes(user.username) || profile.users.includes('*');
+
+// Picks the cookie file for a request: an explicit profile wins, then the most specific domain match
+// (own before assigned), then catch-all profiles, then the legacy cookies.txt
+const resolveCookies = (user, mediaUrl, requested) => {
+    if (requested === 'none') return { file: null, profile: null };
+    if (requested) {
+        const profile = cookieProfiles[requested];
+        if (!profile || !profileVisibleTo(user, profile)) throw new Error('Cookie profile not found');
+        return { file: cookieFilePath(profile.id), profile };
+    }
+
+    let host = '';
+    try {
+        host = new URL(mediaUrl).hostname.toLowerCase();
+    } catch (e) {}
+
+    const candidates = Object.values(cookieProfiles)
+        .filter(p => p.owner === user.username || p.users.includes(user.username) || p.users.includes('*'))
+        .map(p => {
+            const matched = p.domains.filter(d => hostMatches(host, d)).sort((a, b) => b.length - a.length)[0];
+            if (p.domains.length && !matched) return null;
+            // Expired logins make sites behave worse than no cookies at all, so skip them
+            const coverage = p.summary.filter(d => hostMatches(host, d.domain) || hostMatches(d.domain, host));
+            if (coverage.length && coverage.every(isSiteExpired)) {
+                logger(null, `Skipping cookie profile "${p.name}": cookies for ${host} have expired`, "WARN");
+                return null;
+            }
+            return { p, score: (matched ? 1000 + matched.length : 0) + (p.owner === user.username ? 1 : 0) };
+        })
+        .filter(Boolean)
+        .sort((a, b) => b.score - a.score);
+
+    if (candidates.length) return { file: cookieFilePath(candidates[0].p.id), profile: candidates[0].p };
+    return { file: fs.existsSync(COOKIES) ? COOKIES : null, profile: null };
+};
+
+// Job records keep the profile id; a deleted profile falls back to the legacy file
+const cookiesForJob = (job) => {
+    if (job.cookieProfile === 'none') return null;
+    if (job.cookieProfile && cookieProfiles[job.cookieProfile]) return cookieFilePath(job.cookieProfile);
+    return fs.existsSync(COOKIES) ? COOKIES : null;
+};
+
+const describeCookieProfile = (p) => ({
+    id: p.id, name: p.name, owner: p.owner, domains: p.domains, users: p.users,
+    uploadedAt: p.uploadedAt, cookies: p.summary.reduce((sum, d) => sum + d.cookies, 0),
+    sites: p.summary.map(d => ({ ...d, isExpired: isSiteExpired(d) }))
+});
+
+// --- URL SANITIZER ---
+// Site rules, matched by hostname (and its subdomains). Every field except platform/hosts is optional:
+//   aliases        hosts rewritten to canonicalHost (mobile and no-cookie mirrors)
+//   rewrites       [{ match, to }] regex on the pathname; "to" may be a path or an absolute URL, query params carry over
+//   stripParams    query params removed; dropQuery removes the whole query string
+//   playlistParam  kept only on collection pages; playlistUrl ("$1" = id) is the canonical page in playlist mode
+//   collection     pathname regex for pages that are always analyzed as collections
+//   expand         short-link host that has to be resolved over HTTP before the rules above can apply
+// Rules from the config file (UMX_URL_RULES, default url-rules.json) take precedence over these:
+//   { "trackingParams": ["..."], "rules": [{ "platform": "...", "hosts": ["..."], ... }] }
+const URL_RULES_FILE = config.urlRulesFile;
+const DEFAULT_TRACKING_PARAMS = ['igsh', 'utm_source', 'utm_medium', 'utm_campaign', 'utm_content', 'utm_term', 'is_from_webapp', 'sender_device', 'share_app_id', 'feature', 'fbclid'];
+const DEFAULT_URL_RULES = [
+    {
+        platform: 'youtube', hosts: ['youtu.be'],
+        rewrites: [{ match: '^/([\\w-]{6,})/?$', to: 'https://www.youtube.com/watch?v=$1' }]
+    },
+    {
+        platform: 'youtube', hosts: ['youtube.com', 'youtube-nocookie.com'],
+        canonicalHost: 'www.youtube.com', aliases: ['youtube.com', 'm.youtube.com', 'youtube-nocookie.com', 'www.youtube-nocookie.com'],
+        rewrites: [
+            { match: '^/(?:shorts|live|embed|v)/([\\w-]{6,})/?$', to: '/watch?v=$1' }
+        ],
+        stripParams: ['index', 'si', 'pp'],
+        playlistParam: 'list', playlistUrl: 'https://www.youtube.com/playlist?list=$1',
+        collection: '^/(playlist$|@[^/]+|channel/|c/|user/)'
+    },
+    {
+        platform: 'instagram', hosts: ['instagram.com', 'instagr.am'],
+        canonicalHost: 'www.instagram.com', aliases: ['instagram.com', 'm.instagram.com', 'instagr.am', 'www.instagr.am'],
+        // Reels are served under /reel/, /reels/ and /<user>/reel/; yt-dlp only needs the short code
+        rewrites: [
+            { match: '^/(?:[\\w.]+/)?reels?/([\\w-]+).*$', to: '/reel/$1/' },
+            { match: '^/(?:[\\w.]+/)?(p|tv)/([\\w-]+).*$', to: '/$1/$2/' }
+        ],
+        dropQuery: true
+    },
+    { platform: 'tiktok', hosts: ['vm.tiktok.com', 'vt.tiktok.com'], expand: true },
+    {
+        platform: 'tiktok', hosts: ['tiktok.com'],
+        canonicalHost: 'www.tiktok.com', aliases: ['tiktok.com', 'm.tiktok.com'],
+        dropQuery: true
+    },
+    {
+        platform: 'twitter', hosts: ['x.com', 'twitter.com'],
+        canonicalHost: 'x.com', aliases: ['twitter.com', 'www.twitter.com', 'mobile.twitter.com', 'www.x.com', 'mobile.x.com'],
+        dropQuery: true
+    },
+    { platform: 'facebook', hosts: ['fb.watch'], expand: true },
+    {
+        platform: 'facebook', hosts: ['facebook.com'],
+        canonicalHost: 'www.facebook.com', aliases: ['facebook.com', 'm.facebook.com', 'mbasic.facebook.com', 'web.facebook.com'],
+        stripParams: ['mibextid', 'rdid', 'share_url', 'ref', 'notif_id', 'notif_t']
+    },
+    { platform: 'reddit', hosts: ['redd.it'], expand: true },
+    {
+        platform: 'reddit', hosts: ['reddit.com'],
+        canonicalHost: 'www.reddit.com', aliases: ['reddit.com', 'old.reddit.com', 'new.reddit.com', 'm.reddit.com'],
+        dropQuery: true
+    },
+    { platform: 'snapchat', hosts: ['snapchat.com'], dropQuery: true },
+    { platform: 'vimeo', hosts: ['vimeo.com'], stripParams: ['share'] }
+];
+
+// Validates one rule and pre-compiles its regexes; throws with the offending rule named
+const compileUrlRule = (rule, idx) => {
+    const where = `URL rule #${idx + 1}${rule && rule.platform ? ` (${rule.platform})` : ''}`;
+    if (!rule || typeof rule.platform !== 'string' || !rule.platform) throw new Error(`${where}: "platform" is required`);
+    if (!Array.isArray(rule.hosts) || rule.hosts.length === 0) throw new Error(`${where}: "hosts" must be a non-empty array`);
+    if (rule.aliases && !rule.canonicalHost) throw new Error(`${where}: "aliases" needs a "canonicalHost"`);
+    const regex = (source, field) => {
+        try {
+            return new RegExp(source);
+        } catch (err) {
+            throw new Error(`${where}: invalid ${field} regex: ${err.message}`);
+        }
+    };
+    return {
+        ...rule,
+        hosts: rule.hosts.map(h => String(h).toLowerCase()),
+        aliases: (rule.aliases || []).map(h => String(h).toLowerCase()),
+        rewrites: (rule.rewrites || []).map(rw => {
+            if (!rw || typeof rw.match !== 'string' || typeof rw.to !== 'string') throw new Error(`${where}: rewrites need "match" and "to" strings`);
+            return { match: regex(rw.match, 'rewrite'), to: rw.to };
+        }),
+        stripParams: rule.stripParams || [],
+        collection: rule.collection ? regex(rule.collection, 'collection') : null
+    };
+};
+
+const loadUrlRules = () => {
+    let config = {};
+    if (fs.existsSync(URL_RULES_FILE)) {
+        try {
+            config = JSON.parse(fs.readFileSync(URL_RULES_FILE, 'utf8'));
+        } catch (err) {
+            logger(null, `URL rule file ${URL_RULES_FILE} is not valid JSON: ${err.message}`, "CRITICAL");
+            process.exit(1);
+        }
+    }
+    try {
+        const rules = [...(config.rules || []), ...DEFAULT_URL_RULES].map(compileUrlRule);
+        if (config.rules) logger(null, `Loaded ${config.rules.length} custom URL rule(s) from ${URL_RULES_FILE}`, "SYSTEM");
+        return { rules, trackingParams: config.trackingParams || DEFAULT_TRACKING_PARAMS };
+    } catch (err) {
+        logger(null, `${URL_RULES_FILE}: ${err.message}`, "CRITICAL");
+        process.exit(1);
+    }
+};
+
+const urlRules = loadUrlRules();
+
+const hostInRule = (host, rule) => rule.hosts.some(h => host === h || host.endsWith(`.${h}`));
+const findUrlRule = (host) => urlRules.rules.find(rule => hostInRule(host.toLowerCase(), rule)) || null;
+
+// Aliases and path rewrites; a rewrite may move the URL to another host (youtu.be -> youtube.com)
+const applyUrlRewrites = (parsed, rule) => {
+    if (rule.aliases.includes(parsed.hostname)) parsed.hostname = rule.canonicalHost;
+    const rewrite = rule.rewrites.find(rw => rw.match.test(parsed.pathname));
+    if (!rewrite) return parsed;
+
+    const next = new URL(parsed.pathname.replace(rewrite.match, rewrite.to), parsed.origin);
+    parsed.searchParams.forEach((value, key) => {
+        if (!next.searchParams.has(key)) next.searchParams.append(key, value);
+    });
+    return next;
+};
+
+const cleanMediaUrl = (rawUrl, { keepPlaylist = false } = {}) => {
+    try {
+        let parsed = new URL(rawUrl);
+        parsed.hash = '';
+
+        let rule = findUrlRule(parsed.hostname);
+        if (rule) {
+            const host = parsed.hostname;
+            parsed = applyUrlRewrites(parsed, rule);
+            if (parsed.hostname !== host) {
+                rule = findUrlRule(parsed.hostname) || rule;
+                parsed = applyUrlRewrites(parsed, rule);
+            }
+        }
+
+        if (rule && rule.playlistParam) {
+            const listId = parsed.searchParams.get(rule.playlistParam);
+            if (keepPlaylist && listId && rule.playlistUrl) {
+                // Playlist mode: collapse "watch?v=X&list=Y" into the canonical playlist page
+                return rule.playlistUrl.replace('$1', encodeURIComponent(listId));
+            }
+            // Dropping the playlist id keeps yt-dlp on the single video instead of crashing on the whole list
+            if (!(rule.collection && rule.collection.test(parsed.pathname))) parsed.searchParams.delete(rule.playlistParam);
+        }
+
+        if (rule && rule.dropQuery) {
+            parsed.search = '';
+        } else {
+            if (rule) rule.stripParams.forEach(param => parsed.searchParams.delete(param));
+            urlRules.trackingParams.forEach(param => parsed.searchParams.delete(param));
+        }
+
+        return parsed.toString();
+    } catch (e) {
+        return rawUrl; // Fallback to raw URL if parsing fails
+    }
+};
+
+// Platform label for logs, the normalize endpoint and the UI; unknown sites fall back to their hostname
+const detectPlatform = (rawUrl) => {
+    try {
+        const host = new URL(rawUrl).hostname.toLowerCase();
+        const rule = findUrlRule(host);
+        return rule ? rule.platform : host.replace(/^www\./, '');
+    } catch (e) {
+        return 'unknown';
+    }
+};
+
+// Playlist pages and channel handles are always analyzed as collections
+const isCollectionUrl = (rawUrl) => {
+    try {
+        const parsed = new URL(cleanMediaUrl(rawUrl));
+        const rule = findUrlRule(parsed.hostname);
+        return Boolean(rule && rule.collection && rule.collection.test(parsed.pathname));
+    } catch (e) {}
+    return false;
+};
+
+// --- OUTBOUND URL GUARD ---
+// Everything the server fetches on a caller's behalf (media pages, thumbnails, short links) must resolve to a
+// public address, otherwise the box becomes a proxy into localhost, the cloud metadata service and the LAN
+const BLOCKED_NETS = new net.BlockList();
+[
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12],
+    ['192.0.0.0', 24], ['192.0.2.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['198.51.100.0', 24],
+    ['203.0.113.0', 24], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([address, prefix]) => BLOCKED_NETS.addSubnet(address, prefix, 'ipv4'));
+[
+    // IPv4-mapped addresses (::ffff:127.0.0.1) are matched against the IPv4 ranges by BlockList itself
+    ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['100::', 64], ['2001:db8::', 32],
+    ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => BLOCKED_NETS.addSubnet(address, prefix, 'ipv6'));
+
+// Opt-in exceptions for LAN media servers (allowPrivateNets), e.g. 192.168.1.20/32,10.8.0.0/16
+const ALLOWED_NETS = new net.BlockList();
+config.allowPrivateNets.forEach(cidr => {
+    const [address, prefix] = cidr.split('/');
+    const family = net.isIP(address) === 6 ? 'ipv6' : 'ipv4';
+    ALLOWED_NETS.addSubnet(address, prefix ? parseInt(prefix, 10) : (family === 'ipv6' ? 128 : 32), family);
+});
+
+const isBlockedAddress = (address) => {
+    const family = net.isIP(address) === 6 ? 'ipv6' : 'ipv4';
+    return !net.isIP(address) || (BLOCKED_NETS.check(address, family) && !ALLOWED_NETS.check(address, family));
+};
+
+const guardError = (message, statusCode = 400) => Object.assign(new Error(message), { statusCode });
+
+// dns.lookup replacement for http(s) requests: the address that gets checked is the one that gets connected to,
+// so a hostname cannot pass the check and then rebind to 127.0.0.1
+const guardedLookup = (hostname, options, callback) => {
+    dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+        if (err) return callback(err);
+        const blocked = addresses.find(a => isBlockedAddress(a.address));
+        if (blocked) return callback(guardError(`${hostname} resolves to a private address (${blocked.address})`, 403));
+        if (options.all) return callback(null, addresses);
+        callback(null, addresses[0].address, addresses[0].family);
+    });
+};
+
+// Pre-flight check for URLs handed to yt-dlp, which does its own networking; throws with a user-facing message
+const guardOutboundUrl = async (rawUrl) => {
+    let parsed;
+    try {
+        parsed = new URL(rawUrl);
+    } catch (e) {
+        throw guardError('Invalid URL format');
+    }
+    if (!['http:', 'https:'].includes(parsed.protocol)) throw guardError('Only http(s) URLs are supported');
+    if (parsed.username || parsed.password) throw guardError('URLs with embedded credentials are not allowed');
+
+    const host = parsed.hostname.replace(/^\[|\]$/g, '');
+    let addresses;
+    try {
+        addresses = await dns.promises.lookup(host, { all: true });
+    } catch (err) {
+        throw guardError(`Could not resolve host ${host}`);
+    }
+    const blocked = addresses.find(a => isBlockedAddress(a.address));
+    if (blocked) throw guardError(`${host} resolves to a private or local address (${blocked.address})`, 403);
+    return parsed;
+};
+
+// Small bounded GET/HEAD through the guard. Redirects are only followed when a hop limit is given and the target
+// passes allowHost; the body is capped at maxBytes and the whole exchange at timeout ms
+const fetchGuarded = async (rawUrl, { method = 'GET', maxBytes = 1024 * 1024, timeout = 10000, maxRedirects = 0, allowHost = () => true } = {}) => {
+    const parsed = await guardOutboundUrl(rawUrl);
+    if (!allowHost(parsed.hostname)) throw guardError(`Host ${parsed.hostname} is not allowed here`, 403);
+
+    const response = await new Promise((resolve, reject) => {
+        const client = parsed.protocol === 'https:' ? https : http;
+        const request = client.request(parsed, { method, lookup: guardedLookup, headers: { 'User-Agent': 'Mozilla/5.0 (UMX)' } }, (upstream) => {
+            const declared = parseInt(upstream.headers['content-length'], 10);
+            if (declared > maxBytes) {
+                upstream.destroy();
+                return reject(guardError(`Response too large (${declared} bytes)`, 413));
+            }
+            const chunks = [];
+            let size = 0;
+            upstream.on('data', (chunk) => {
+                size += chunk.length;
+                if (size > maxBytes) return request.destroy(guardError(`Response exceeded ${maxBytes} bytes`, 413));
+                chunks.push(chunk);
+            });
+            upstream.on('end', () => resolve({ status: upstream.statusCode, headers: upstream.headers, body: Buffer.concat(chunks), url: parsed.toString() }));
+            upstream.on('error', reject);
+        });
+        const timer = setTimeout(() => request.destroy(guardError(`Timed out after ${timeout}ms`, 504)), timeout);
+        request.on('error', reject);
+        request.on('close', () => clearTimeout(timer));
+        request.end();
+    });
+
+    if (response.status >= 300 && response.status < 400 && response.headers.location && maxRedirects > 0) {
+        const next = new URL(response.headers.location, parsed).toString();
+        return fetchGuarded(next, { method, maxBytes, timeout, maxRedirects: maxRedirects - 1, allowHost });
+    }
+    return response;
+};
+
+// Thumbnail hosts from each user's most recent analysis; /api/thumbnail refuses anything else
+const analysisHosts = new Map();
+const rememberThumbnailHosts = (username, urls) => {
+    const hosts = new Set();
+    urls.filter(Boolean).forEach(u => {
+        try {
+            hosts.add(new URL(u).hostname);
+        } catch (e) {}
+    });
+    analysisHosts.set(username, hosts);
+};
+
+// Short links (vm.tiktok.com, fb.watch, redd.it) only reveal the real URL through their redirect chain
+const SHORT_LINK_MAX_HOPS = 5;
+const SHORT_LINK_TIMEOUT = 5000;
+
+const expandShortLink = async (rawUrl) => {
+    let current = rawUrl;
+    for (let hop = 0; hop < SHORT_LINK_MAX_HOPS; hop++) {
+        let host;
+        try {
+            host = new URL(current).hostname;
+        } catch (e) {
+            return current;
+        }
+        const rule = findUrlRule(host);
+        if (!rule || !rule.expand) return current;
+
+        try {
+            const response = await fetchGuarded(current, { method: 'HEAD', timeout: SHORT_LINK_TIMEOUT });
+            const location = response.headers.location;
+            if (!location) return current;
+            current = new URL(location, current).toString();
+        } catch (err) {
+            logger(null, `Short link expansion failed for ${current}: ${err.message}`, "WARN");
+            return current;
+        }
+    }
+    return current;
+};
+
+// Flat playlist entries usually only carry a thumbnails array, so fall back to the largest one
+const pickThumbnail = (item) => {
+    if (item.thumbnail) return item.thumbnail;
+    if (Array.isArray(item.thumbnails) && item.thumbnails.length > 0) {
+        return item.thumbnails[item.thumbnails.length - 1].url;
+    }
+    return null;
+};
+
+// Manual tracks first, then auto-generated captions (incl. YouTube's machine translations), flagged so the UI can group them
+const listSubtitles = (info) => {
+    const tracks = [];
+    const add = (source, auto) => Object.entries(source || {}).forEach(([lang, formats]) => {
+        if (lang === 'live_chat' || !Array.isArray(formats)) return; // Chat replays are not captions
+        tracks.push({ lang, name: (formats[0] && formats[0].name) || lang, auto, formats: [...new Set(formats.map(f => f.ext).filter(Boolean))] });
+    });
+    add(info.subtitles, false);
+    add(info.automatic_captions, true);
+    return tracks;
+};
+
+// --- HARDWARE DETECTION ENGINE ---
+// Encoder candidates per target codec, hardware first. ffmpeg lists every encoder it was built with, whether or not
+// the device behind it exists, so each listed candidate has to encode a few frames before it is trusted
+const VIDEO_ENCODERS = {
+    h264: { hardware: ['h264_qsv', 'h264_nvenc', 'h264_videotoolbox', 'h264_amf'], software: ['libx264'] },
+    hevc: { hardware: ['hevc_qsv', 'hevc_nvenc', 'hevc_videotoolbox', 'hevc_amf'], software: ['libx265'] },
+    vp9: { hardware: ['vp9_qsv'], software: ['libvpx-vp9'] },
+    av1: { hardware: ['av1_qsv', 'av1_nvenc', 'av1_amf'], software: ['libsvtav1', 'libaom-av1'] }
+};
+const ENCODER_TEST_TIMEOUT = 15000;
+
+const encoderTests = {}; // encoder -> { codec, hardware, ok, error } from the last probe
+const demotedEncoders = new Set(); // Hardware encoders that failed a real job; skipped until the next probe
+let ffmpegAvailable = false;
+
+const isHardwareEncoder = (name) => Object.values(VIDEO_ENCODERS).some(e => e.hardware.includes(name));
+
+// Returns null when the encoder works, otherwise the reason it does not
+const testEncoder = (name) => {
+    const result = spawnSync('ffmpeg', [
+        '-hide_banner', '-v', 'error',
+        '-f', 'lavfi', '-i', 'color=c=black:s=256x256:r=25:d=0.2', // Large enough for every hardware encoder's minimum size
+        '-frames:v', '5', '-c:v', name, '-f', 'null', '-'
+    ], { timeout: ENCODER_TEST_TIMEOUT });
+    if (result.error) return result.error.code === 'ETIMEDOUT' ? 'Test encode timed out' : result.error.message;
+    if (result.status !== 0) return result.stderr.toString().trim().split('\n').pop() || `ffmpeg exited with code ${result.status}`;
+    return null;
+};
+
+// The admin's pick when it works, else the first working candidate; `software` skips hardware entirely
+const activeEncoder = (codec, { software = false } = {}) => {
+    const candidates = VIDEO_ENCODERS[codec];
+    const works = (name) => encoderTests[name] && encoderTests[name].ok && !demotedEncoders.has(name) && !(software && isHardwareEncoder(name));
+    const preferred = encodingSettings.encoders[codec];
+    if (preferred !== 'auto' && preferred !== 'software' && works(preferred)) return preferred;
+    const pool = software || preferred === 'software' ? candidates.software : [...candidates.hardware, ...candidates.software];
+    return pool.find(works) || candidates.software[0]; // Nothing passed: let the job fail with ffmpeg's own error
+};
+
+const detectHardware = () => {
+    logger(null, "Probing Hardware Acceleration Capabilities...");
+    Object.keys(encoderTests).forEach(name => delete encoderTests[name]);
+    demotedEncoders.clear();
+
+    let listed;
+    try {
+        listed = execSync('ffmpeg -hide_banner -encoders', { stdio: ['ignore', 'pipe', 'ignore'] }).toString();
+        ffmpegAvailable = true;
+    } catch (err) {
+        ffmpegAvailable = false;
+        logger(null, "ERROR: FFmpeg probe failed. Is FFmpeg installed?", "CRITICAL");
+        return;
+    }
+
+    Object.entries(VIDEO_ENCODERS).forEach(([codec, { hardware, software }]) => {
+        [...hardware, ...software].filter(name => new RegExp(`\\s${name}\\s`).test(listed)).forEach(name => {
+            const error = testEncoder(name);
+            encoderTests[name] = { codec, hardware: hardware.includes(name), ok: !error, error };
+            if (error) logger(null, `${name} is listed by ffmpeg but failed a test encode: ${error}`, "HARDWARE");
+        });
+        const active = activeEncoder(codec);
+        if (!encoderTests[active] || !encoderTests[active].ok) {
+            logger(null, `NOTICE: No working ${codec.toUpperCase()} encoder found.`, "FALLBACK");
+        } else if (encoderTests[active].hardware) {
+            logger(null, `SUCCESS: ${codec.toUpperCase()} encodes on ${active}`, "HARDWARE");
+        } else {
+            logger(null, `NOTICE: No hardware ${codec.toUpperCase()} encoder detected. Using CPU (${active}).`, "FALLBACK");
+        }
+    });
+};
+
+// --- ENCODING SETTINGS ---
+// Admin defaults (data/encoding.json) for every re-encode; requests may override crf, videoBitrate and preset.
+// Presets use x264's speed names and are translated for the other encoder families (see videoEncoderArgs)
+const ENCODER_PRESETS = CONFIG_SCHEMA.encoderPreset.values;
+const CRF_RANGES = { h264: 51, hevc: 51, vp9: 63, av1: 63 };
+const VIDEO_BITRATE = /^\d+(\.\d+)?[kM]$/;
+const DEFAULT_ENCODING = {
+    encoders: { h264: config.encoder, hevc: 'auto', vp9: 'auto', av1: 'auto' }, // 'auto', 'software' or an encoder name
+    preset: config.encoderPreset,
+    crf: { h264: null, hevc: null, vp9: 32, av1: 32 }, // null keeps the encoder's own default; libaom needs one set
+    videoBitrate: null, // e.g. "4M"; replaces CRF when set
+    allowRequestOverrides: true,
+    fallbackToSoftware: true // Re-run on the software encoder when a hardware encode fails mid-job
+};
+
+const checkCrf = (value, codec) => {
+    if (!Number.isInteger(value) || value < 0 || value > CRF_RANGES[codec]) throw new Error(`CRF for ${codec} must be a whole number from 0 to ${CRF_RANGES[codec]}`);
+    return value;
+};
+
+const checkVideoBitrate = (value) => {
+    if (!VIDEO_BITRATE.test(String(value))) throw new Error('Video bitrate must look like 2500k or 4M');
+    return String(value);
+};
+
+// Merges a (partial) update onto the current settings; throws with a user-facing message on bad input
+const validateEncodingSettings = (update, current = DEFAULT_ENCODING) => {
+    const unknown = Object.keys(update).filter(k => !(k in DEFAULT_ENCODING));
+    if (unknown.length) throw new Error(`Unknown encoding setting(s): ${unknown.join(', ')}`);
+
+    const next = { ...current, ...update, encoders: { ...current.encoders, ...update.encoders }, crf: { ...current.crf, ...update.crf } };
+    Object.entries(next.encoders).forEach(([codec, name]) => {
+        if (!VIDEO_ENCODERS[codec]) throw new Error(`Unknown video codec "${codec}"`);
+        const choices = ['auto', 'software', ...VIDEO_ENCODERS[codec].hardware, ...VIDEO_ENCODERS[codec].software];
+        if (!choices.includes(name)) throw new Error(`${codec} encoder must be one of ${choices.join(', ')}`);
+    });
+    Object.entries(next.crf).forEach(([codec, value]) => {
+        if (!VIDEO_ENCODERS[codec]) throw new Error(`Unknown video codec "${codec}"`);
+        if (value !== null) checkCrf(value, codec);
+    });
+    if (!ENCODER_PRESETS.includes(next.preset)) throw new Error(`Preset must be one of ${ENCODER_PRESETS.join(', ')}`);
+    if (next.videoBitrate !== null) next.videoBitrate = checkVideoBitrate(next.videoBitrate);
+    ['allowRequestOverrides', 'fallbackToSoftware'].forEach(k => {
+        if (typeof next[k] !== 'boolean') throw new Error(`${k} must be true or false`);
+    });
+    return next;
+};
+
+let encodingSettings = DEFAULT_ENCODING;
+if (fs.existsSync(ENCODING_STORE)) {
+    try {
+        encodingSettings = validateEncodingSettings(JSON.parse(fs.readFileSync(ENCODING_STORE, 'utf8')));
+    } catch (err) {
+        logger(null, `Encoding settings ignored, using defaults: ${err.message}`, "WARN");
+    }
+}
+
+const saveEncodingSettings = () => {
+    const tmpFile = ENCODING_STORE + '.tmp';
+    fs.writeFileSync(tmpFile, JSON.stringify(encodingSettings, null, 2));
+    fs.renameSync(tmpFile, ENCODING_STORE);
+};
+
+detectHardware();
+
+// Per-request quality overrides for the profile's target video codec; null when none were given
+const resolveQuality = ({ crf, videoBitrate, preset } = {}, profile) => {
+    if (isBlank(crf) && isBlank(videoBitrate) && isBlank(preset)) return null;
+    if (!encodingSettings.allowRequestOverrides) throw new Error('Encoding quality overrides are disabled on this server');
+    if (profile.audioOnly) throw new Error(`${profile.label} has no video to apply CRF, bitrate or preset to`);
+    if (!isBlank(crf) && !isBlank(videoBitrate)) throw new Error('Pick either a CRF or a video bitrate, not both');
+
+    const quality = {};
+    if (!isBlank(crf)) quality.crf = checkCrf(Number(crf), videoTarget(profile));
+    if (!isBlank(videoBitrate)) quality.videoBitrate = checkVideoBitrate(videoBitrate);
+    if (!isBlank(preset)) {
+        if (!ENCODER_PRESETS.includes(preset)) throw new Error(`Preset must be one of ${ENCODER_PRESETS.join(', ')}`);
+        quality.preset = preset;
+    }
+    return quality;
+};
+
+// ffmpeg options after "-c:v <encoder>". A request CRF or bitrate replaces the admin's rate control entirely
+const videoEncoderArgs = (codec, encoder, quality = null, container = null) => {
+    const speed = ENCODER_PRESETS.indexOf((quality && quality.preset) || encodingSettings.preset); // 0 = fastest
+    const requested = quality && (quality.crf !== undefined || quality.videoBitrate);
+    const bitrate = requested ? quality.videoBitrate : encodingSettings.videoBitrate;
+    const crf = requested ? quality.crf : (bitrate ? undefined : encodingSettings.crf[codec]);
+    const hasCrf = crf !== undefined && crf !== null;
+    const args = [];
+
+    if (encoder.startsWith('libx26')) {
+        args.push('-preset', ENCODER_PRESETS[speed]);
+        if (hasCrf) args.push('-crf', crf);
+    } else if (encoder.endsWith('_nvenc')) {
+        args.push('-preset', `p${[1, 1, 2, 3, 4, 5, 6, 7, 7][speed]}`);
+        if (hasCrf) args.push('-rc', 'vbr', '-cq', crf);
+    } else if (encoder.endsWith('_qsv')) {
+        args.push('-preset', ENCODER_PRESETS[Math.max(speed, 2)]); // QuickSync starts at veryfast
+        if (hasCrf) args.push('-global_quality', crf);
+    } else if (encoder.endsWith('_amf')) {
+        args.push('-quality', speed <= 3 ? 'speed' : (speed <= 5 ? 'balanced' : 'quality'));
+        if (hasCrf) args.push('-rc', 'cqp', '-qp_i', crf, '-qp_p', crf);
+    } else if (encoder.endsWith('_videotoolbox')) {
+        // No speed knob and no CRF; -q:v runs the other way round, from 1 (worst) to 100
+        if (hasCrf) args.push('-q:v', Math.max(1, Math.round(100 - crf * (100 / CRF_RANGES[codec]))));
+    } else if (encoder === 'libvpx-vp9') {
+        args.push('-deadline', 'good', '-cpu-used', [5, 5, 5, 4, 3, 2, 1, 1, 0][speed], '-row-mt', '1');
+        if (hasCrf) args.push('-crf', crf, '-b:v', '0'); // -b:v 0 makes the CRF a constant-quality target
+    } else if (encoder === 'libsvtav1') {
+        args.push('-preset', [12, 11, 10, 9, 8, 6, 5, 4, 2][speed]);
+        if (hasCrf) args.push('-crf', crf);
+    } else if (encoder === 'libaom-av1') {
+        args.push('-cpu-used', [8, 8, 7, 6, 5, 4, 3, 2, 1][speed], '-row-mt', '1');
+        if (hasCrf) args.push('-crf', crf, '-b:v', '0');
+    }
+    if (bitrate) args.push('-b:v', bitrate);
+    if (codec === 'hevc' && ['mp4', 'mov'].includes(container)) args.push('-tag:v', 'hvc1'); // Apple players only open hvc1-tagged HEVC
+    return args.map(String);
+};
+
+// A hardware encoder can pass the startup test and still fail on real input (driver limits, session caps).
+// Demotes it and switches the job to software; returns the new encoder, or null when there is nothing to fall back to
+const fallBackToSoftware = (jobId, codec, err) => {
+    const job = jobs[jobId];
+    if (!job || !encodingSettings.fallbackToSoftware || !isHardwareEncoder(job.encoder)) return null;
+    demotedEncoders.add(job.encoder);
+    const software = activeEncoder(codec, { software: true });
+    logger(jobId, `${job.encoder} failed (${err.message}); retrying on ${software}. ${job.encoder} stays disabled until the next encoder test`, "FALLBACK");
+    job.encoderFallback = { from: job.encoder, reason: err.message };
+    job.encoder = software;
+    touchJob(jobId, true);
+    return software;
+};
+
+// --- ROUTE: LOGO/FAVICON SERVING ---
+app.get('/favicon.ico', (req, res) => {
+    const logoPath = path.join(__dirname, 'favicon.ico');
+    if (fs.existsSync(logoPath)) {
+        res.sendFile(logoPath);
+    } else {
+        res.status(404).end();
+    }
+});
+
+// Standard browser favicon request fallback
+app.get('/favfavicon.ico', (req, res) => {
+    const logoPath = path.join(__dirname, 'favicon.ico');
+    if (fs.existsSync(logoPath)) {
+        res.sendFile(logoPath);
+    } else {
+        res.status(404).end();
+    }
+});
+
+// --- ANALYSIS CACHE ---
+// Analyze responses keyed by canonical URL (+ cookie profile, since logins change what a site returns).
+// In memory only: a restart simply means the next analysis goes back to the platform
+const ANALYSIS_CACHE_MAX = 500;
+const SIGNED_URL_MARGIN = 5 * 60 * 1000; // Stop serving an entry a little before its signed URLs die
+const analysisCache = new Map(); // key -> { payload, cachedAt, expiresAt }
+
+// Expiry embedded in signed CDN URLs (googlevideo "expire", TikTok "x-expires", fbcdn hex "oe", S3 presigning)
+const signedUrlExpiry = (rawUrl) => {
+    try {
+        const params = new URL(rawUrl).searchParams;
+        for (const name of ['expire', 'expires', 'Expires', 'x-expires']) {
+            const value = Number(params.get(name));
+            if (value > 1e9) return value * 1000;
+        }
+        const oe = params.get('oe');
+        if (oe && /^[0-9a-f]{8}$/i.test(oe)) return parseInt(oe, 16) * 1000;
+        const amzDate = (params.get('X-Amz-Date') || '').match(/^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})Z$/);
+        const amzExpires = Number(params.get('X-Amz-Expires'));
+        if (amzDate && amzExpires) {
+            return Date.UTC(amzDate[1], amzDate[2] - 1, amzDate[3], amzDate[4], amzDate[5], amzDate[6]) + amzExpires * 1000;
+        }
+    } catch (e) {}
+    return null;
+};
+
+// The TTL, cut short by the earliest signed stream or thumbnail URL in the metadata
+const analysisExpiry = (info) => {
+    const urls = [
+        info.thumbnail,
+        ...(info.thumbnails || []).map(t => t.url),
+        ...(info.formats || []).map(f => f.url),
+        ...(info.entries || []).filter(Boolean).map(pickThumbnail)
+    ].filter(Boolean);
+    const signed = urls.map(signedUrlExpiry).filter(Boolean);
+    const ttlEnd = Date.now() + ANALYSIS_CACHE_TTL;
+    return signed.length ? Math.min(ttlEnd, Math.min(...signed) - SIGNED_URL_MARGIN) : ttlEnd;
+};
+
+const readAnalysisCache = (key) => {
+    const entry = analysisCache.get(key);
+    if (!entry) return null;
+    if (entry.expiresAt <= Date.now()) {
+        analysisCache.delete(key);
+        return null;
+    }
+    return entry;
+};
+
+const storeAnalysisCache = (key, payload, expiresAt) => {
+    if (!ANALYSIS_CACHE_TTL || expiresAt <= Date.now()) return null;
+    analysisCache.delete(key); // Re-insert so Map order stays oldest-first for eviction
+    analysisCache.set(key, { payload, cachedAt: Date.now(), expiresAt });
+    while (analysisCache.size > ANALYSIS_CACHE_MAX) analysisCache.delete(analysisCache.keys().next().value);
+    return analysisCache.get(key);
+};
+
+const analysisThumbnails = (payload) => [payload.thumbnail, ...(payload.entries || []).map(e => e.thumbnail)];
+
+// --- API: ANALYZE ---
+// Errors thrown by the pipeline entry points carry the HTTP status the routes answer with
+const requestError = (message, statusCode = 400) => Object.assign(new Error(message), { statusCode });
+
+// Route handlers for the entry points below: JSON result or { error } with the error's status
+const respondWith = (handler) => async (req, res) => {
+    try {
+        res.json(await handler(req.user, req.body));
+    } catch (err) {
+        res.status(err.statusCode || 500).json({ error: err.message });
+    }
+};
+
+// Shared by POST /api/analyze and the CLI's local mode
+const analyzeMedia = async (user, { url: rawUrl, playlist, refresh, cookieProfile: requestedProfile } = {}) => {
+    const url = await expandShortLink(rawUrl);
+    const playlistMode = Boolean(playlist) || isCollectionUrl(url);
+    const cleanedUrl = cleanMediaUrl(url, { keepPlaylist: playlistMode }); // Sanitize the URL to prevent playlist crashes
+    logger(null, `Incoming ${playlistMode ? 'playlist ' : ''}analysis for URL: ${url}`);
+
+    try {
+        await guardOutboundUrl(cleanedUrl);
+    } catch (err) {
+        logger(null, `Analysis refused: ${err.message}`, "WARN");
+        countAnalysis(cleanedUrl, 'miss', 'refused');
+        throw requestError(err.message);
+    }
+
+    let cookies;
+    try {
+        cookies = resolveCookies(user, cleanedUrl, requestedProfile);
+    } catch (err) {
+        countAnalysis(cleanedUrl, 'miss', 'refused');
+        throw requestError(err.message);
+    }
+    const cookieProfile = cookies.profile ? { id: cookies.profile.id, name: cookies.profile.name } : null;
+    if (cookieProfile) logger(null, `Using cookie profile "${cookieProfile.name}"`, "COOKIES");
+
+    const cacheKey = `${cookies.profile ? cookies.profile.id : (cookies.file ? 'legacy' : 'none')}|${cleanedUrl}`;
+    const cached = refresh ? null : readAnalysisCache(cacheKey);
+    if (cached) {
+        logger(null, `Cache hit for "${cached.payload.title}"`, "CACHE");
+        rememberThumbnailHosts(user.username, analysisThumbnails(cached.payload));
+        recordAnalysis(user.username, cached.payload);
+        countAnalysis(cleanedUrl, 'hit', 'ok');
+        return { ...cached.payload, cache: { hit: true, cachedAt: cached.cachedAt, expiresAt: cached.expiresAt } };
+    }
+
+    try {
+        const ytdlp = new YtDlp();
+        const info = await ytdlp.getInfoAsync(cleanedUrl, { cookies: cookies.file || undefined, flatPlaylist: true });
+        logger(null, `Metadata retrieved for: "${info.title}"`);
+
+        const respond = (payload) => {
+            const entry = storeAnalysisCache(cacheKey, payload, analysisExpiry(info));
+            rememberThumbnailHosts(user.username, analysisThumbnails(payload));
+            recordAnalysis(user.username, payload);
+            countAnalysis(cleanedUrl, 'miss', 'ok');
+            return { ...payload, cache: { hit: false, cachedAt: entry ? entry.cachedAt : null, expiresAt: entry ? entry.expiresAt : null } };
+        };
+
+        // Playlists & channels: return the flat entry list so the UI can offer a batch download
+        if (info._type === 'playlist' || (!info.formats && Array.isArray(info.entries))) {
+            const entries = (info.entries || []).filter(Boolean).map((e, idx) => ({
+                index: idx + 1,
+                id: e.id,
+                title: e.title || `Entry ${idx + 1}`,
+                duration: e.duration || 0,
+                thumbnail: pickThumbnail(e),
+                url: e.webpage_url || e.url || e.id,
+                // Channel roots list their tabs (Videos, Shorts...) as nested playlists
+                isPlaylist: e._type === 'playlist'
+            }));
+            logger(null, `Playlist mode: ${entries.length} entries found`);
+            return respond({ type: 'playlist', title: info.title, thumbnail: pickThumbnail(info), uploader: info.uploader || info.channel || null, url: cleanedUrl, platform: detectPlatform(cleanedUrl), entries, cookieProfile });
+        }
+
+        // Graceful error handling to prevent backend crash if a playlist still slips through
+        if (!info.formats) {
+            throw new Error("No video stream found. Please ensure the link points to a specific video, not a channel or playlist.");
+        }
+
+        // Safely map formats (Supports YT, FB, IG, TT, Snap natively now)
+        const formats = info.formats.map(f => {
+            let label = "SD";
+            
+            // Fix: Treat missing codec fields as present unless explicitly flagged as 'none' (fixes Snapchat/IG)
+            const hasVideo = f.vcodec !== 'none';
+            const hasAudio = f.acodec !== 'none';
+
+            // Smart orientation detection for vertical videos (TikTok, Shorts, Reels)
+            const width = f.width || 0;
+            const height = f.height || 0;
+            const isVertical = height > width && width > 0;
+            
+            // Use the shortest edge to accurately determine quality category (HD, FHD, 4K)
+            let shortEdge = height;
+            if (width && height) {
+                shortEdge = Math.min(width, height);
+            } else if (width && !height) {
+                shortEdge = width;
+            }
+
+            if (hasVideo) {
+                if (shortEdge >= 4320) label = "8K";
+                else if (shortEdge >= 2160) label = "4K";
+                else if (shortEdge >= 1440) label = "2K";
+                else if (shortEdge >= 1080) label = "FHD";
+                else if (shortEdge >= 720) label = "HD";
+                else if (shortEdge >= 480) label = "SD";
+                else label = "Low";
+            } else {
+                label = f.ext ? f.ext.toUpperCase() : "RAW";
+            }
+
+            // Determine correct display resolution text (e.g., show '1080p' for a 1080x1920 video)
+            let resDisplay = 'Native';
+            if (width && height) {
+                resDisplay = isVertical ? `${width}p` : `${height}p`;
+            } else if (height) {
+                resDisplay = `${height}p`;
+            } else if (width) {
+                resDisplay = `${width}w`;
+            }
+
+            return {
+                id: f.format_id,
+                ext: f.ext,
+                height: height || 0, // Kept for backend sorting logic
+                resolution: resDisplay,
+                vcodec: hasVideo ? (f.vcodec || 'unknown') : null,
+                acodec: hasAudio ? (f.acodec || 'unknown') : null,
+                size: f.filesize || f.filesize_approx || 0,
+                abr: f.abr ? `${Math.round(f.abr)}kbps` : null,
+                label: label,
+                codec_info: hasVideo ? (f.vcodec ? f.vcodec.split('.')[0] : 'VID') : (hasAudio ? (f.acodec ? f.acodec.split('.')[0] : 'AUD') : 'RAW')
+            };
+        });
+
+        return respond({ type: 'video', title: info.title, thumbnail: info.thumbnail, duration: info.duration || 0, formats, subtitles: listSubtitles(info),
+            chapters: (info.chapters || []).map(c => ({ title: c.title, start: c.start_time, end: c.end_time })),
+            url: cleanedUrl, platform: detectPlatform(cleanedUrl), cookieProfile });
+    } catch (err) {
+        logger(null, `Analysis failed: ${err.message}`, "ERROR");
+        countAnalysis(cleanedUrl, 'miss', 'error');
+        throw err;
+    }
+};
+
+app.post('/api/analyze', rateLimit('analyze'), limitConcurrentAnalyses, respondWith(analyzeMedia));
+
+// --- API: NORMALIZE ---
+// Dry run of the URL rules: GET /api/normalize?url=... or POST { url, playlist }
+const normalizeHandler = async (req, res) => {
+    const input = (req.body && req.body.url) || req.query.url;
+    if (!input || typeof input !== 'string') return res.status(400).json({ error: 'url is required' });
+    try {
+        new URL(input);
+    } catch (e) {
+        return res.status(400).json({ error: 'Not a valid URL' });
+    }
+
+    const expanded = await expandShortLink(input);
+    const playlistMode = Boolean((req.body && req.body.playlist) || req.query.playlist) || isCollectionUrl(expanded);
+    const url = cleanMediaUrl(expanded, { keepPlaylist: playlistMode });
+    res.json({ input, url, platform: detectPlatform(url), expanded: expanded !== input, changed: url !== input, collection: playlistMode });
+};
+app.get('/api/normalize', normalizeHandler);
+app.post('/api/normalize', normalizeHandler);
+
+// --- API: THUMBNAIL DOWNLOADER (Server-Side Bypass for CORS + WebP to PNG) ---
+const THUMBNAIL_MAX_BYTES = 10 * 1024 * 1024;
+const THUMBNAIL_TIMEOUT = 10000;
+
+// Decodes an in-memory image with ffmpeg; the input is forced to the image demuxer so only pictures get parsed
+const convertToPng = (image) => new Promise((resolve, reject) => {
+    const ffmpegProcess = spawn('ffmpeg', ['-v', 'error', '-f', 'image2pipe', '-i', 'pipe:0', '-vframes', '1', '-c:v', 'png', '-f', 'image2pipe', 'pipe:1']);
+    const chunks = [];
+    let stderr = '';
+    const timer = setTimeout(() => ffmpegProcess.kill('SIGKILL'), THUMBNAIL_TIMEOUT);
+
+    ffmpegProcess.stdout.on('data', (chunk) => chunks.push(chunk));
+    ffmpegProcess.stderr.on('data', (chunk) => { stderr += chunk.toString(); });
+    ffmpegProcess.stdin.on('error', () => {}); // ffmpeg may quit before reading everything; the exit code tells the story
+    ffmpegProcess.on('error', (err) => {
+        clearTimeout(timer);
+        reject(err);
+    });
+    ffmpegProcess.on('close', (code, signal) => {
+        clearTimeout(timer);
+        if (code === 0 && chunks.length) return resolve(Buffer.concat(chunks));
+        reject(new Error(signal ? 'ffmpeg timed out' : (stderr.trim().split('\n').pop() || `ffmpeg exited with code ${code}`)));
+    });
+    ffmpegProcess.stdin.end(image);
+});
+
+app.get('/api/thumbnail', async (req, res) => {
+    const { imgUrl, title } = req.query;
+    if (!imgUrl) return res.status(400).send('No image URL provided');
+
+    // Security check: ensure URL is an actual web resource
+    let parsedUrl;
+    try {
+        parsedUrl = new URL(imgUrl);
+        if (!['http:', 'https:'].includes(parsedUrl.protocol)) throw new Error();
+    } catch (e) {
+        return res.status(400).send('Invalid URL format');
+    }
+
+    // Only thumbnails the caller's last analysis returned, so this cannot be used as a general fetch proxy
+    const allowedHosts = analysisHosts.get(req.user.username) || new Set();
+    if (!allowedHosts.has(parsedUrl.hostname)) {
+        logger(null, `Thumbnail refused for host ${parsedUrl.hostname}: not part of the last analysis`, "WARN");
+        return res.status(403).send('Thumbnail host does not belong to the last analyzed media');
+    }
+
+    let image;
+    try {
+        image = await fetchGuarded(imgUrl, {
+            maxBytes: THUMBNAIL_MAX_BYTES, timeout: THUMBNAIL_TIMEOUT, maxRedirects: 3,
+            allowHost: (host) => allowedHosts.has(host)
+        });
+    } catch (err) {
+        logger(null, `Thumbnail fetch failed: ${err.message}`, "WARN");
+        return res.status(err.statusCode || 502).send(err.statusCode ? err.message : 'Could not fetch thumbnail');
+    }
+    if (image.status !== 200) return res.status(502).send(`Thumbnail host answered with status ${image.status}`);
+    if (!/^(image\/|application\/octet-stream)/.test(image.headers['content-type'] || '')) {
+        return res.status(415).send('Thumbnail URL did not return an image');
+    }
+
+    // Pipe the image through FFmpeg to convert it (e.g. YouTube WebP) into a high-quality PNG
+    let png;
+    try {
+        png = await convertToPng(image.body);
+    } catch (err) {
+        logger(null, `Thumbnail conversion error: ${err.message}`, "ERROR");
+        return res.status(500).send('Failed to process thumbnail');
+    }
+
+    const safeTitle = (title || 'thumbnail').replace(/[^a-z0-9]/gi, '_');
+    
+    // Force browser to treat as a downloadable PNG file
+    res.setHeader('Content-Disposition', `attachment; filename="${safeTitle}_thumb.png"`);
+    res.setHeader('Content-Type', 'image/png');
+    res.send(png);
+});
+
+// --- OUTPUT PROFILES ---
+// Presets offered in the UI; any field can be overridden per request (see resolveProfile)
+const OUTPUT_PROFILES = {
+    mp4: { label: 'MP4 (H.264 / AAC)', container: 'mp4', videoCodec: 'auto', audioCodec: 'aac', audioBitrate: config.audioBitrate },
+    mkv: { label: 'MKV (Original Codecs)', container: 'mkv', videoCodec: 'auto', audioCodec: 'auto', audioBitrate: config.audioBitrate },
+    webm: { label: 'WebM (VP9 / Opus)', container: 'webm', videoCodec: 'auto', audioCodec: 'opus', audioBitrate: '160k' },
+    mov: { label: 'MOV (H.264 / AAC)', container: 'mov', videoCodec: 'auto', audioCodec: 'aac', audioBitrate: config.audioBitrate },
+    mp3: { label: 'MP3 320k', container: 'mp3', audioOnly: true, audioCodec: 'mp3', audioBitrate: '320k' },
+    m4a: { label: 'M4A (AAC 256k)', container: 'm4a', audioOnly: true, audioCodec: 'aac', audioBitrate: '256k' },
+    opus: { label: 'Opus 160k', container: 'opus', audioOnly: true, audioCodec: 'opus', audioBitrate: '160k' },
+    flac: { label: 'FLAC (Lossless)', container: 'flac', audioOnly: true, audioCodec: 'flac', audioBitrate: null }
+};
+
+// --- CODEC-AWARE ENCODE PLANNING ---
+// Codecs each container can hold as-is; "any" containers (MKV) accept whatever the source has.
+// alsoHolds: codecs that can be forced into the container but that "auto" does not keep, for player compatibility
+const CONTAINER_CODECS = {
+    mp4: { video: ['h264'], alsoHolds: ['hevc', 'av1'], audio: ['aac', 'mp3'], defaults: { video: 'h264', audio: 'aac' } },
+    mov: { video: ['h264'], alsoHolds: ['hevc'], audio: ['aac', 'mp3'], defaults: { video: 'h264', audio: 'aac' } },
+    mkv: { any: true, defaults: { video: 'h264', audio: 'aac' } },
+    webm: { video: ['vp9', 'vp8', 'av1'], audio: ['opus', 'vorbis'], defaults: { video: 'vp9', audio: 'opus' } }
+};
+
+const AUDIO_ENCODERS = { aac: 'aac', mp3: 'libmp3lame', opus: 'libopus', flac: 'flac', vorbis: 'libvorbis' };
+const AUDIO_BITRATES = CONFIG_SCHEMA.audioBitrate.values;
+
+// Folds yt-dlp's codec strings (avc1.640028, mp4a.40.2, vp09.00...) into plain codec names
+const CODEC_ALIASES = { avc1: 'h264', avc3: 'h264', hev1: 'hevc', hvc1: 'hevc', vp09: 'vp9', av01: 'av1', mp4a: 'aac' };
+const normalizeCodec = (codec) => {
+    if (!codec || codec === 'unknown') return null;
+    const family = codec.split('.')[0].toLowerCase();
+    return CODEC_ALIASES[family] || family;
+};
+
+// Starts from a preset and applies validated overrides; throws with a user-facing message on bad input
+const resolveProfile = ({ profile = 'mp4', videoCodec, audioCodec, audioBitrate } = {}) => {
+    const base = OUTPUT_PROFILES[profile];
+    if (!base) throw new Error(`Unknown output profile "${profile}"`);
+    const resolved = { id: profile, ...base };
+
+    if (videoCodec && videoCodec !== 'auto') {
+        if (base.audioOnly) throw new Error('Audio-only profiles cannot take a video codec');
+        if (!VIDEO_ENCODERS[videoCodec]) throw new Error(`Unsupported video codec "${videoCodec}"`);
+        resolved.videoCodec = videoCodec;
+    }
+    if (audioCodec && audioCodec !== 'auto') {
+        if (!AUDIO_ENCODERS[audioCodec]) throw new Error(`Unsupported audio codec "${audioCodec}"`);
+        if (base.audioOnly && audioCodec !== base.audioCodec) throw new Error(`${base.container.toUpperCase()} output is always ${base.audioCodec}`);
+        resolved.audioCodec = audioCodec;
+    }
+    if (audioBitrate) {
+        if (!AUDIO_BITRATES.includes(audioBitrate)) throw new Error(`Audio bitrate must be one of ${AUDIO_BITRATES.join(', ')}`);
+        resolved.audioBitrate = audioBitrate;
+    }
+
+    // Forced codecs still have to fit the container (e.g. no H.264 in WebM)
+    const rules = CONTAINER_CODECS[resolved.container];
+    if (rules && !rules.any) {
+        if (resolved.videoCodec !== 'auto' && ![...rules.video, ...(rules.alsoHolds || [])].includes(resolved.videoCodec)) throw new Error(`${resolved.container.toUpperCase()} cannot hold ${resolved.videoCodec} video`);
+        if (resolved.audioCodec !== 'auto' && !rules.audio.includes(resolved.audioCodec)) throw new Error(`${resolved.container.toUpperCase()} cannot hold ${resolved.audioCodec} audio`);
+    }
+    return resolved;
+};
+
+// remux: stream copy only | audio_transcode: copy video, re-encode audio | full_transcode: re-encode everything
+// audio_extract: audio-only profiles, handed to yt-dlp's ExtractAudio (which copies when the codec already matches)
+const planEncode = ({ hasVideo, hasAudio, vCodec, aCodec, quality }, profile = resolveProfile()) => {
+    const container = profile.container.toUpperCase();
+    if (profile.audioOnly) {
+        return { path: 'audio_extract', reason: `Audio-only ${profile.label}` };
+    }
+    if (hasVideo && quality) {
+        return { path: 'full_transcode', reason: 'Re-encoding with the requested quality settings' };
+    }
+
+    const rules = CONTAINER_CODECS[profile.container];
+    const v = normalizeCodec(vCodec);
+    const a = normalizeCodec(aCodec);
+    // "auto" keeps whatever the container can hold; a forced codec must match the source exactly to be copied
+    const fits = (codec, target, kind) => target !== 'auto' ? codec === target : (rules.any || rules[kind].includes(codec));
+
+    if (hasVideo && !fits(v, profile.videoCodec, 'video')) {
+        const reason = profile.videoCodec !== 'auto' ? `Converting ${v || 'unknown'} video to ${profile.videoCodec}` : (v ? `${v} video cannot be stored in ${container}` : 'Video codec unknown');
+        return { path: 'full_transcode', reason };
+    }
+    if (hasAudio && !fits(a, profile.audioCodec, 'audio')) {
+        const reason = profile.audioCodec !== 'auto' ? `Converting ${a || 'unknown'} audio to ${profile.audioCodec}` : (a ? `${a} audio cannot be stored in ${container}` : 'Audio codec unknown');
+        return { path: 'audio_transcode', reason };
+    }
+    return { path: 'remux', reason: `Source codecs fit ${container}, stream copy only` };
+};
+
+// Codec a re-encode produces: the forced one, else the container's default
+const videoTarget = (profile) => (profile.videoCodec && profile.videoCodec !== 'auto' ? profile.videoCodec : (CONTAINER_CODECS[profile.container] || CONTAINER_CODECS.mp4).defaults.video);
+
+// yt-dlp arguments for each encode path; the Merger/VideoConvertor args only matter when ffmpeg has to touch the streams
+const buildPostprocessArgs = (encodePath, profile, { encoder, quality } = {}) => {
+    const { container } = profile;
+    if (encodePath === 'audio_extract') {
+        const args = ['--extract-audio', '--audio-format', container];
+        if (profile.audioBitrate) args.push('--audio-quality', profile.audioBitrate.toUpperCase());
+        return args;
+    }
+    if (encodePath === 'remux') {
+        return ['--merge-output-format', container, '--remux-video', container];
+    }
+
+    const rules = CONTAINER_CODECS[container];
+    const targetVideo = videoTarget(profile);
+    const targetAudio = profile.audioCodec !== 'auto' ? profile.audioCodec : rules.defaults.audio;
+    const videoCodec = encodePath === 'full_transcode' ? [encoder, ...videoEncoderArgs(targetVideo, encoder, quality, container)].join(' ') : 'copy';
+    const bitrate = profile.audioBitrate ? ` -b:a ${profile.audioBitrate}` : '';
+    const ppArgs = `-c:V ${videoCodec} -c:a ${AUDIO_ENCODERS[targetAudio]}${bitrate}`;
+    return [
+        '--merge-output-format', container,
+        '--recode-video', container,
+        '--postprocessor-args', `VideoConvertor:${ppArgs}`,
+        '--postprocessor-args', `Merger:${ppArgs}`
+    ];
+};
+
+// Containers ffmpeg can write an attached cover picture into
+const THUMBNAIL_CONTAINERS = ['mp4', 'mov', 'm4a', 'mp3', 'flac'];
+
+// --- CLIP RANGES ---
+const MAX_CLIPS = 10;
+
+// Accepts 90, "90", "1:30" or "01:02:03.5"; returns seconds, or NaN when unparseable
+const parseTimestamp = (value) => {
+    if (typeof value === 'number') return value >= 0 ? value : NaN;
+    const parts = String(value).trim().split(':');
+    if (parts.length > 3 || parts.some(p => !/^\d+(\.\d+)?$/.test(p))) return NaN;
+    return parts.reduce((total, p) => total * 60 + parseFloat(p), 0);
+};
+
+const isBlank = (value) => value === undefined || value === null || value === '';
+
+// Turns `clips: [{start, end}]` (or a top-level start/end pair) into sorted second ranges; end null means "until the end".
+// Returns [] when nothing is actually cut off, throws with a user-facing message on bad input
+const resolveClips = ({ clips, start, end } = {}, duration = 0) => {
+    const raw = Array.isArray(clips) ? clips : ((!isBlank(start) || !isBlank(end)) ? [{ start, end }] : []);
+    if (raw.length > MAX_CLIPS) throw new Error(`At most ${MAX_CLIPS} clip ranges per download`);
+
+    const ranges = raw.map((c, idx) => {
+        const from = isBlank(c.start) ? 0 : parseTimestamp(c.start);
+        let to = isBlank(c.end) ? null : parseTimestamp(c.end);
+        if (isNaN(from) || Number.isNaN(to)) throw new Error(`Clip ${idx + 1}: timestamps must look like 90, 1:30 or 01:02:03.5`);
+        if (to !== null && to <= from) throw new Error(`Clip ${idx + 1}: end must be after start`);
+        if (duration && from >= duration) throw new Error(`Clip ${idx + 1}: starts after the video ends`);
+        if (duration && to !== null && to >= duration) to = null;
+        return { start: from, end: to };
+    }).sort((a, b) => a.start - b.start);
+
+    ranges.forEach((r, idx) => {
+        const prev = ranges[idx - 1];
+        if (prev && (prev.end === null || r.start < prev.end)) throw new Error('Clip ranges must not overlap');
+    });
+
+    if (ranges.length === 1 && ranges[0].start === 0 && ranges[0].end === null) return [];
+    return ranges;
+};
+
+// yt-dlp section download only fetches the requested ranges instead of the whole video
+const buildSectionArgs = (clips, encodePath) => {
+    const args = clips.flatMap(c => ['--download-sections', `*${c.start}-${c.end === null ? 'inf' : c.end}`]);
+    // Frame-exact cuts need keyframes there; only worth it when the video gets re-encoded anyway
+    if (encodePath === 'full_transcode') args.push('--force-keyframes-at-cuts');
+    return args;
+};
+
+// Concatenates clip files (same source, same codecs) into one output with stream copy
+const joinClips = async (jobId, parts, output) => {
+    if (parts.length === 1) return fs.renameSync(parts[0], output);
+
+    const listFile = path.join(TEMP_DIR, `${jobId}.concat.txt`);
+    fs.writeFileSync(listFile, parts.map(p => `file '${p.replace(/'/g, "'\\''")}'`).join('\n'));
+    try {
+        await runFfmpeg(jobId, ['-y', '-f', 'concat', '-safe', '0', '-i', listFile, '-map', '0', '-c', 'copy', output]);
+    } finally {
+        fs.unlinkSync(listFile);
+    }
+    parts.forEach(p => { if (fs.existsSync(p)) fs.unlinkSync(p); });
+};
+
+// ffmpeg fallback for sources yt-dlp cannot section-download: cut each range out of the full file.
+// Stream copy keeps it fast, so cuts snap to the nearest keyframe
+const trimWithFfmpeg = async (jobId, file, clips) => {
+    const ext = path.extname(file);
+    const parts = [];
+    for (const [idx, c] of clips.entries()) {
+        const part = `${file.slice(0, -ext.length)}.clip${idx + 1}${ext}`;
+        await runFfmpeg(jobId, [
+            '-y',
+            '-ss', String(c.start),
+            '-i', file,
+            ...(c.end !== null ? ['-t', String(c.end - c.start)] : []), // -ss before -i resets timestamps, so the end becomes a duration
+            '-map', '0',
+            '-c', 'copy',
+            '-avoid_negative_ts', 'make_zero',
+            part
+        ]);
+        parts.push(part);
+    }
+    fs.unlinkSync(file);
+    await joinClips(jobId, parts, file);
+};
+
+// --- SUBTITLES ---
+// embed: soft tracks inside the container | burn: rendered into the picture | file: delivered next to the media
+const SUBTITLE_MODES = ['embed', 'burn', 'file'];
+const SUBTITLE_FORMATS = ['srt', 'vtt', 'ass'];
+const SUBTITLE_FILE = /\.(srt|vtt|ass|ttml|srv[123]|json3)$/;
+
+// Validates the `subtitles` request field against the output profile; null when no track was picked
+const resolveSubtitles = ({ subtitles } = {}, profile) => {
+    if (!subtitles || !Array.isArray(subtitles.languages) || subtitles.languages.length === 0) return null;
+    const { languages, mode = 'embed', format = 'srt', auto = false } = subtitles;
+
+    if (!SUBTITLE_MODES.includes(mode)) throw new Error(`Subtitle mode must be one of ${SUBTITLE_MODES.join(', ')}`);
+    if (!SUBTITLE_FORMATS.includes(format)) throw new Error(`Subtitle format must be one of ${SUBTITLE_FORMATS.join(', ')}`);
+    if (languages.some(l => typeof l !== 'string' || !/^[\w-]+$/.test(l))) throw new Error('Invalid subtitle language code');
+    if (mode !== 'file' && profile.audioOnly) throw new Error(`${profile.label} cannot carry subtitles, deliver them as separate files instead`);
+    if (mode === 'burn' && languages.length > 1) throw new Error('Only one subtitle track can be burned in');
+
+    return { languages, mode, format, auto: Boolean(auto) };
+};
+
+const buildSubtitleArgs = (subtitles, container) => {
+    const args = ['--write-subs', '--sub-langs', subtitles.languages.join(',')];
+    if (subtitles.auto) args.push('--write-auto-subs'); // Only used for languages without a manual track
+    if (subtitles.mode === 'embed') {
+        if (container === 'webm') args.push('--convert-subs', 'vtt'); // WebM can only hold WebVTT tracks
+        args.push('--embed-subs');
+    } else {
+        // Burn-in renders through libass, which keeps ASS styling and reads anything converted to it
+        args.push('--convert-subs', subtitles.mode === 'burn' ? 'ass' : subtitles.format);
+    }
+    return args;
+};
+
+// Hard-subs need a real video re-encode; audio is copied untouched
+const burnSubtitles = async (jobId, file, subtitleFile, profile) => {
+    const ext = path.extname(file);
+    const burned = `${file.slice(0, -ext.length)}_subbed${ext}`;
+    const target = videoTarget(profile);
+    // The subtitles filter parses its argument, so drive-letter colons and quotes must be escaped
+    const filterPath = subtitleFile.replace(/\\/g, '/').replace(/:/g, '\\:').replace(/'/g, "\\'");
+
+    const burn = (encoder) => runFfmpeg(jobId, [
+        '-y',
+        '-i', file,
+        '-vf', `subtitles=${filterPath}`,
+        '-map', '0:v:0',
+        '-map', '0:a?',
+        '-c:v', encoder, ...videoEncoderArgs(target, encoder, jobs[jobId].quality, profile.container),
+        '-c:a', 'copy',
+        burned
+    ]);
+    try {
+        await burn(jobs[jobId].encoder);
+    } catch (err) {
+        const software = fallBackToSoftware(jobId, target, err);
+        if (!software) throw err;
+        await burn(software);
+    }
+    fs.unlinkSync(file);
+    fs.renameSync(burned, file);
+};
+
+// --- CHAPTERS ---
+// embed: chapter markers in the container | split: one file per chapter, delivered as a ZIP | none: strip them
+const CHAPTER_MODES = ['embed', 'split', 'none'];
+
+const buildChapterArgs = (jobId, chapterMode) => {
+    if (chapterMode === 'none') return ['--no-embed-chapters']; // --add-metadata would embed them otherwise
+    if (chapterMode === 'embed') return ['--embed-chapters'];
+    return [
+        '--split-chapters',
+        // The number keeps chapter order, the (yt-dlp sanitised) title becomes the name inside the ZIP
+        '-o', `chapter:${path.join(TEMP_DIR, `${jobId}.chapter.%(section_number)03d.%(section_title)s.%(ext)s`)}`
+    ];
+};
+
+// Zips the split chapter files as "001 - Title.ext" and removes the loose copies
+const packageChapters = (jobId) => new Promise((resolve, reject) => {
+    const prefix = `${jobId}.chapter.`;
+    const chapterFiles = fs.readdirSync(TEMP_DIR).filter(f => f.startsWith(prefix)).sort();
+    if (chapterFiles.length === 0) return reject(new Error('This video has no chapters to split by'));
+
+    const zipFile = path.join(TEMP_DIR, `${jobId}.zip`);
+    const output = fs.createWriteStream(zipFile);
+    const archive = archiver('zip', { store: true }); // Media is already compressed, deflating it again only burns CPU
+
+    output.on('close', () => {
+        chapterFiles.forEach(f => fs.unlinkSync(path.join(TEMP_DIR, f)));
+        resolve({ zipFile, count: chapterFiles.length });
+    });
+    archive.on('error', reject);
+    archive.pipe(output);
+    chapterFiles.forEach(f => {
+        const rest = f.slice(prefix.length); // "001.Intro.mp4"
+        archive.file(path.join(TEMP_DIR, f), { name: `${rest.slice(0, 3)} - ${rest.slice(4)}` });
+    });
+    archive.finalize();
+});
+
+// --- DOWNLOAD PIPELINE ---
+// Promise wrapper around a one-shot ffmpeg run; it becomes the job's active process so cancel can kill it
+const runFfmpeg = (jobId, args) => new Promise((resolve, reject) => {
+    const proc = spawn('ffmpeg', args);
+    activeProcesses[jobId] = proc;
+
+    const output = captureProcessOutput(jobId, 'ffmpeg');
+    appendJobLog(jobId, { level: 'info', source: 'ffmpeg', msg: `$ ffmpeg ${args.join(' ')}` });
+    proc.stderr.on('data', (d) => output.write(d.toString()));
+    proc.on('error', reject);
+    proc.on('close', (code) => {
+        output.flush();
+        if (code === 0) return resolve();
+        reject(new Error(output.tail().split('\n').pop() || `ffmpeg exited with code ${code}`));
+    });
+});
+
+// Runs yt-dlp for an existing job record; every parameter lives on the job so it can be resumed
+const runDownloadJob = (jobId) => {
+    const { url, formatSelection, encodePath = 'full_transcode', clips = [], clipFallback, subtitles, chapterMode = 'embed' } = jobs[jobId];
+    const profile = jobs[jobId].profile || resolveProfile(); // Jobs stored before output profiles existed are MP4
+    const cleanedUrl = cleanMediaUrl(url); 
+    const extension = profile.container; 
+    const useSections = clips.length > 0 && !clipFallback; // After a failed section download the whole file is fetched and trimmed locally
+    // Picked per run, so a retry or a restart uses whatever encoder works right now
+    const needsEncoder = encodePath === 'full_transcode' || (subtitles && subtitles.mode === 'burn');
+    const encoder = needsEncoder ? activeEncoder(videoTarget(profile), { software: Boolean(jobs[jobId].encoderFallback) }) : null;
+    if (jobs[jobId].encoder !== encoder) {
+        jobs[jobId].encoder = encoder;
+        if (encoder) logger(jobId, `Video encoder: ${encoder}`, "CODEC");
+    }
+
+    const run = {};
+    currentRuns[jobId] = run;
+    const isCurrent = () => currentRuns[jobId] === run;
+    // Still this run's job and still meant to be running
+    const isActive = () => isCurrent() && jobs[jobId] && jobs[jobId].status === 'downloading';
+
+    const ytdlp = new YtDlp();
+    const ytdlpOutput = captureProcessOutput(jobId, 'yt-dlp');
+    let streamsStarted = 0;
+    let downloaded = false; // yt-dlp finished; later errors come from our own post-processing
+    let handedOff = false; // Set when this run restarts itself in fallback mode
+
+    const setPhase = (phase) => {
+        if (!isCurrent() || !jobs[jobId] || jobs[jobId].phase === phase) return;
+        jobs[jobId].phase = phase;
+        logger(jobId, `Phase: ${phase}`, "PHASE");
+        touchJob(jobId, true);
+    };
+
+    // TASK 1: Remux, re-encode or extract audio (per the encode plan) and download the thumbnail safely (No embedding yet)
+    let ffmpegArgs = [
+        ...buildPostprocessArgs(encodePath, profile, { encoder, quality: jobs[jobId].quality }),
+        '--add-metadata',
+        '--write-thumbnail',    // Forces yt-dlp to save the thumbnail alongside the video
+        '--convert-thumbnails', 'jpg', // Guarantees the thumbnail is cleanly converted to JPG
+        ...(useSections ? buildSectionArgs(clips, encodePath) : []),
+        ...(subtitles ? buildSubtitleArgs(subtitles, extension) : []),
+        ...buildChapterArgs(jobId, chapterMode)
+    ];
+    // Every section becomes its own file, numbered so they join back in order
+    const outputName = useSections && clips.length > 1 ? `${jobId}.%(section_number)03d.%(ext)s` : `${jobId}.%(ext)s`;
+
+    const download = ytdlp.download(cleanedUrl)
+        .cookies(cookiesForJob(jobs[jobId]))
+        .format(formatSelection)
+        .setOutputTemplate(path.join(TEMP_DIR, outputName)) // jobId-named files let cancel/cleanup find every partial
+        .addArgs(...ffmpegArgs) // run() takes no arguments in ytdlp-nodejs 3.x, raw flags must go through addArgs
+        .on('start', (command) => appendJobLog(jobId, { level: 'info', source: 'yt-dlp', msg: `$ ${command}` }))
+        .on('stderr', (chunk) => ytdlpOutput.write(chunk))
+        .on('stdout', (chunk) => {
+            // yt-dlp announces each pipeline stage on its own line; map those onto UI phases
+            chunk.split('\n').forEach(line => {
+                if (line.includes('[download] Destination:')) {
+                    streamsStarted++;
+                    // Merged selections always fetch the video stream first, then the audio stream.
+                    // Section downloads pull both streams through one ffmpeg call per clip instead
+                    if (useSections || !formatSelection.includes('+')) setPhase('downloading');
+                    else setPhase(streamsStarted === 1 ? 'downloading_video' : 'downloading_audio');
+                } else if (line.startsWith('[Merger]')) {
+                    // The Merger only re-encodes when the plan asked it to
+                    setPhase(encodePath === 'remux' ? 'merging' : 'reencoding');
+                } else if (line.startsWith('[VideoRemuxer]')) {
+                    setPhase('remuxing');
+                } else if (line.startsWith('[ExtractAudio]')) {
+                    setPhase('extracting_audio');
+                } else if (line.startsWith('[VideoConvertor]')) {
+                    setPhase('reencoding');
+                } else if (line.startsWith('[EmbedSubtitle]')) {
+                    setPhase('embedding_subtitles');
+                } else if (line.startsWith('[SplitChapters]')) {
+                    setPhase('splitting_chapters');
+                }
+            });
+        })
+        .on('progress', (p) => {
+            const job = jobs[jobId];
+            if (job && isCurrent()) {
+                job.progress = p.percentage_str || '0%';
+                job.speed = p.speed || null;
+                job.eta = p.eta !== undefined ? p.eta : null;
+                job.downloadedBytes = p.downloaded || null;
+                job.totalBytes = p.total || null;
+                touchJob(jobId);
+                const pInt = parseInt(p.percentage_str);
+                if (pInt % 25 === 0) logger(jobId, `Progress: ${p.percentage_str}`, "PROGRESS");
+            }
+        });
+    activeProcesses[jobId] = download;
+
+    download.run()
+        .then(async (result) => {
+            downloaded = true;
+            if (!isCurrent()) return; // A newer run owns the job's files now
+            if (result.filePaths && result.filePaths.length > 0) {
+                let finalFile = result.filePaths.find(p => p.endsWith(`.${extension}`)) || result.filePaths[0];
+
+                if (clips.length > 0 && isActive()) {
+                    setPhase('trimming');
+                    const output = path.join(TEMP_DIR, `${jobId}${path.extname(finalFile)}`);
+                    if (useSections) {
+                        logger(jobId, `Joining ${result.filePaths.length} downloaded section(s)`, "CLIP");
+                        await joinClips(jobId, result.filePaths.filter(f => fs.existsSync(f)).sort(), output);
+                    } else {
+                        logger(jobId, `Trimming ${clips.length} range(s) with ffmpeg`, "CLIP");
+                        await trimWithFfmpeg(jobId, finalFile, clips);
+                    }
+                    finalFile = output;
+                }
+
+                // Subtitle tracks yt-dlp left on disk (embedding removes its own copies)
+                const subtitleFiles = fs.readdirSync(TEMP_DIR).filter(f => f.startsWith(`${jobId}.`) && SUBTITLE_FILE.test(f));
+                if (subtitles && subtitles.mode === 'burn' && isActive()) {
+                    if (subtitleFiles.length === 0) throw new Error(`No "${subtitles.languages[0]}" subtitles were available to burn in`);
+                    setPhase('burning_subtitles');
+                    logger(jobId, `Burning ${subtitleFiles[0]} into the video`, "SUBS");
+                    await burnSubtitles(jobId, finalFile, path.join(TEMP_DIR, subtitleFiles[0]), profile);
+                }
+                if (subtitles && subtitles.mode === 'file' && jobs[jobId]) {
+                    // ${jobId}.<lang>.<ext>; the language code sits between the jobId and the extension
+                    jobs[jobId].subtitleFiles = subtitleFiles.map(f => ({ lang: f.slice(jobId.length + 1, f.lastIndexOf('.')), file: f }));
+                    logger(jobId, `${subtitleFiles.length} subtitle file(s) ready for delivery`, "SUBS");
+                } else {
+                    subtitleFiles.forEach(f => fs.existsSync(path.join(TEMP_DIR, f)) && fs.unlinkSync(path.join(TEMP_DIR, f)));
+                }
+
+                const baseName = finalFile.substring(0, finalFile.lastIndexOf('.'));
+                
+                // Locate the safely extracted JPG thumbnail (section downloads write one per clip, keep the first)
+                const thumbs = fs.readdirSync(TEMP_DIR).filter(f => f.startsWith(jobId) && /\.(jpg|webp|png)$/.test(f)).sort().map(f => path.join(TEMP_DIR, f));
+                const thumbFile = thumbs.shift();
+                thumbs.forEach(f => fs.unlinkSync(f));
+
+                // WebM, MKV and Opus have no attached-picture slot ffmpeg can write, so skip the embed there.
+                // Split jobs only deliver the chapter files, so the full file needs no cover either
+                if (thumbFile && (!THUMBNAIL_CONTAINERS.includes(extension) || chapterMode === 'split')) {
+                    fs.unlinkSync(thumbFile);
+                } else if (thumbFile && fs.existsSync(finalFile)) {
+                    // TASK 2: Use an isolated FFmpeg operation to natively embed the thumbnail
+                    const embeddedFile = baseName + '_with_thumb.' + extension;
+                    // Audio-only files have no video stream, so the picture becomes video stream 0
+                    const picIndex = profile.audioOnly ? 0 : 1;
+                    try {
+                        setPhase('embedding_thumbnail');
+                        logger(jobId, `Task 2: Injecting high-res thumbnail into ${extension.toUpperCase()}...`, "THUMB");
+                        
+                        // -c copy ensures we don't re-encode the video again, we just inject the picture
+                        await runFfmpeg(jobId, [
+                            '-y',
+                            '-i', finalFile,
+                            '-i', thumbFile,
+                            '-map', '0',
+                            '-map', '1',
+                            '-c', 'copy',
+                            `-c:v:${picIndex}`, 'mjpeg',
+                            `-disposition:v:${picIndex}`, 'attached_pic',
+                            ...(extension === 'mp3' ? ['-id3v2_version', '3'] : []), // ID3v2.3 is what most players read cover art from
+                            embeddedFile
+                        ]);
+
+                        // Replace the original with our newly embedded version
+                        if (fs.existsSync(embeddedFile)) {
+                            fs.unlinkSync(finalFile);
+                            fs.unlinkSync(thumbFile);
+                            fs.renameSync(embeddedFile, finalFile);
+                        }
+                    } catch (err) {
+                        logger(jobId, `Thumbnail injection failed, proceeding with original. Error: ${err.message}`, "WARN");
+                        if (fs.existsSync(embeddedFile)) fs.unlinkSync(embeddedFile);
+                    }
+                }
+
+                if (chapterMode === 'split' && isActive()) {
+                    setPhase('packaging_chapters');
+                    const { zipFile, count } = await packageChapters(jobId);
+                    if (fs.existsSync(finalFile)) fs.unlinkSync(finalFile);
+                    finalFile = zipFile;
+                    logger(jobId, `Packaged ${count} chapter file(s) into ${path.basename(zipFile)}`, "CHAPTERS");
+                }
+
+                if (isActive()) {
+                    jobs[jobId].status = 'completed';
+                    jobs[jobId].phase = 'completed';
+                    jobs[jobId].progress = '100%';
+                    jobs[jobId].file = path.basename(finalFile);
+                    jobs[jobId].fileSize = fs.existsSync(finalFile) ? fs.statSync(finalFile).size : 0;
+                    recordUsage(jobs[jobId].owner, { bytes: jobs[jobId].fileSize });
+                    retainInLibrary(jobId);
+                    touchJob(jobId, true);
+                    logger(jobId, `Processing Finished. Output: ${jobs[jobId].file}`, "SUCCESS");
+                }
+            } else if (isActive()) {
+                failJob(jobId, new Error('yt-dlp finished without producing an output file'), ytdlpOutput.tail());
+                touchJob(jobId, true);
+                logger(jobId, `No output file reported by yt-dlp`, "ERROR");
+            }
+        })
+        .catch((err) => {
+            ytdlpOutput.flush();
+            if (!isCurrent()) return logger(jobId, `Superseded run stopped: ${err.message}`, "STOP");
+            // A pause or cancel kills yt-dlp on purpose; that exit is not a failure
+            if (jobs[jobId] && jobs[jobId].status !== 'downloading') {
+                return logger(jobId, `yt-dlp stopped (${jobs[jobId].status})`, "STOP");
+            }
+            // Not every extractor/protocol supports section downloads; fetch everything and trim locally instead
+            if (useSections && !downloaded && jobs[jobId]) {
+                logger(jobId, `Section download failed (${err.message}), falling back to ffmpeg trim`, "WARN");
+                jobs[jobId].clipFallback = true;
+                touchJob(jobId, true);
+                delete activeProcesses[jobId];
+                removeJobFiles(jobId);
+                handedOff = true;
+                return runDownloadJob(jobId);
+            }
+            // The re-encode runs inside yt-dlp; the fetched streams stay on disk, so the rerun skips straight to it
+            if (!downloaded && jobs[jobId] && jobs[jobId].phase === 'reencoding' && fallBackToSoftware(jobId, videoTarget(profile), err)) {
+                delete activeProcesses[jobId];
+                handedOff = true;
+                return runDownloadJob(jobId);
+            }
+            if (jobs[jobId]) {
+                failJob(jobId, err, ytdlpOutput.tail());
+                touchJob(jobId, true);
+                logger(jobId, `Download/Merge error [${jobs[jobId].errorClass}]: ${err.message}`, "ERROR");
+            } else {
+                logger(jobId, `Download/Merge error: ${err.message}`, "ERROR");
+            }
+        })
+        .finally(() => {
+            if (handedOff || !isCurrent()) return; // The fallback or a newer run owns the process slot now
+            delete currentRuns[jobId];
+            delete activeProcesses[jobId];
+            // Sweep again once the process is really gone, in case it wrote a fragment while dying
+            if (jobs[jobId] && jobs[jobId].status === 'cancelled') removeJobFiles(jobId);
+            pumpQueue(); // Free the slot for the next queued job
+        });
+};
+
+// --- PROCESS CONTROL ---
+// yt-dlp spawns ffmpeg as a child, so killing only the yt-dlp pid would leave the encode running
+const killProcessTree = (pid) => {
+    if (process.platform === 'win32') {
+        spawnSync('taskkill', ['/pid', String(pid), '/T', '/F']);
+        return;
+    }
+    try {
+        execSync(`pgrep -P ${pid}`).toString().split('\n').filter(Boolean)
+            .forEach(child => killProcessTree(parseInt(child, 10)));
+    } catch (e) {} // pgrep exits non-zero when there are no children
+    try {
+        process.kill(pid, 'SIGKILL');
+    } catch (e) {}
+};
+
+// Removes the job from the queue and kills its pipeline if one is running
+const stopJob = (jobId) => {
+    const queued = jobQueue.indexOf(jobId);
+    if (queued !== -1) jobQueue.splice(queued, 1);
+
+    const proc = activeProcesses[jobId];
+    if (proc && proc.pid) {
+        logger(jobId, `Killing pipeline process tree (pid ${proc.pid})`, "KILL");
+        killProcessTree(proc.pid);
+    }
+    publishQueue();
+};
+
+const removeJobFiles = (jobId) => {
+    let removed = 0;
+    fs.readdirSync(TEMP_DIR).filter(f => f.startsWith(jobId)).forEach(f => {
+        try {
+            fs.unlinkSync(path.join(TEMP_DIR, f));
+            removed++;
+        } catch (e) {
+            logger(jobId, `Could not delete ${f}: ${e.message}`, "WARN");
+        }
+    });
+    if (removed > 0) logger(jobId, `CLEANUP: Removed ${removed} partial file(s)`, "DELETE");
+    return removed;
+};
+
+// --- JOB QUEUE ---
+// Every download waits here so only MAX_CONCURRENT_JOBS encodes hit the CPU at once
+const activeJobCount = () => Object.values(jobs).filter(j => j.status === 'downloading').length;
+
+const queuePosition = (jobId) => {
+    const idx = jobQueue.indexOf(jobId);
+    return idx === -1 ? null : idx + 1;
+};
+
+const pumpQueue = () => {
+    if (jobQueue.length > 0 && holdForDisk()) return;
+    while (jobQueue.length > 0 && activeJobCount() < MAX_CONCURRENT_JOBS) {
+        const jobId = jobQueue.shift();
+        const job = jobs[jobId];
+        if (!job || job.status !== 'queued') continue;
+
+        job.status = 'downloading';
+        job.phase = 'starting';
+        job.startedAt = Date.now();
+        touchJob(jobId, true);
+        logger(jobId, `Slot acquired, starting "${job.title}" (${activeJobCount()}/${MAX_CONCURRENT_JOBS} active)`, "QUEUE");
+        runDownloadJob(jobId);
+        publishQueue();
+    }
+};
+
+// Higher priority jobs are placed ahead of lower ones; equal priorities keep arrival order
+const enqueueJob = (jobId, { front = false } = {}) => {
+    const job = jobs[jobId];
+    job.status = 'queued';
+    job.phase = 'queued';
+    job.priority = job.priority || 0;
+
+    if (front) {
+        jobQueue.unshift(jobId);
+    } else {
+        const insertAt = jobQueue.findIndex(id => (jobs[id].priority || 0) < job.priority);
+        insertAt === -1 ? jobQueue.push(jobId) : jobQueue.splice(insertAt, 0, jobId);
+    }
+
+    touchJob(jobId, true);
+    publishQueue();
+    logger(jobId, `Queued at position ${queuePosition(jobId)} (priority ${job.priority})`, "QUEUE");
+    pumpQueue();
+};
+
+// --- DISK JANITOR ---
+// temp/ only shrinks when a file is fetched, so anything the user never collects (or a failed run's fragments)
+// would stay forever. The janitor expires idle jobs, sweeps files no job owns and keeps temp/ under MAX_TEMP_BYTES
+const ORPHAN_GRACE = 60 * 1000; // Files younger than this may belong to a job being created right now
+const JOB_ID_PREFIX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}/;
+
+let tempUsageCache = null;
+
+// Per-job byte counts come from the jobId prefix every pipeline file carries
+const measureTemp = ({ fresh = false } = {}) => {
+    if (!fresh && tempUsageCache && Date.now() - tempUsageCache.measuredAt < 5000) return tempUsageCache;
+    const usage = { bytes: 0, files: 0, byJob: {}, measuredAt: Date.now() };
+    fs.readdirSync(TEMP_DIR).forEach(name => {
+        try {
+            const size = fs.statSync(path.join(TEMP_DIR, name)).size;
+            const owner = (name.match(JOB_ID_PREFIX) || [])[0] || null;
+            usage.bytes += size;
+            usage.files++;
+            if (owner) usage.byJob[owner] = (usage.byJob[owner] || 0) + size;
+        } catch (e) {} // Deleted between readdir and stat
+    });
+    tempUsageCache = usage;
+    return usage;
+};
+
+const diskSpace = () => {
+    try {
+        const stats = fs.statfsSync(TEMP_DIR);
+        return { free: stats.bavail * stats.bsize, total: stats.blocks * stats.bsize };
+    } catch (e) {
+        return null;
+    }
+};
+
+// Refusal point for new work: the volume itself is nearly full
+const diskFullError = () => {
+    const disk = diskSpace();
+    if (!MIN_FREE_BYTES || !disk || disk.free >= MIN_FREE_BYTES) return null;
+    return `Server disk is almost full (${(disk.free / 1024 ** 3).toFixed(1)} GB free), try again later`;
+};
+
+// Queue hold: temp/ is over its cap, so waiting jobs stay queued until fetches or the janitor free space
+let diskHoldTimer = null;
+const holdForDisk = () => {
+    if (!MAX_TEMP_BYTES || measureTemp().bytes < MAX_TEMP_BYTES) return false;
+    if (!diskHoldTimer) {
+        logger(null, `Temp folder over ${(MAX_TEMP_BYTES / 1024 ** 3).toFixed(1)} GB, holding ${jobQueue.length} queued job(s)`, "DISK");
+        diskHoldTimer = setTimeout(() => {
+            diskHoldTimer = null;
+            publishQueue();
+            pumpQueue();
+        }, 15000);
+        publishQueue();
+    }
+    return true;
+};
+
+// Files whose jobId is unknown (or unparseable names) and old enough not to be mid-creation
+const sweepOrphans = () => {
+    let removed = 0, bytes = 0;
+    fs.readdirSync(TEMP_DIR).forEach(name => {
+        const owner = (name.match(JOB_ID_PREFIX) || [])[0];
+        if (owner && jobs[owner] && jobs[owner].status !== 'expired') return;
+        const filePath = path.join(TEMP_DIR, name);
+        try {
+            const stats = fs.statSync(filePath);
+            if (Date.now() - stats.mtimeMs < ORPHAN_GRACE) return;
+            fs.rmSync(filePath, { recursive: true, force: true });
+            removed++;
+            bytes += stats.size;
+        } catch (e) {
+            logger(null, `Could not sweep ${name}: ${e.message}`, "WARN");
+        }
+    });
+    return { removed, bytes };
+};
+
+const runJanitor = () => {
+    const now = Date.now();
+    const report = { expired: 0, purged: 0, orphans: 0, freedBytes: 0 };
+    const before = measureTemp({ fresh: true }).bytes;
+
+    Object.entries(jobs).forEach(([jobId, job]) => {
+        const idleFor = now - (job.updatedAt || job.createdAt || 0);
+        if (job.status === 'completed' && job.libraryId && idleFor > JOB_TTL) {
+            delete jobs[jobId]; // The output lives on in the library, only the record goes
+            report.purged++;
+        } else if (['completed', 'paused', 'interrupted'].includes(job.status) && idleFor > JOB_TTL) {
+            const previous = job.status;
+            removeJobFiles(jobId);
+            job.status = 'expired';
+            job.phase = 'expired';
+            job.resumable = false;
+            job.error = previous === 'completed' ? 'The file was not downloaded in time and has been deleted' : `The ${previous} download was abandoned and its partial files deleted`;
+            touchJob(jobId, true);
+            logger(jobId, `Expired after ${Math.round(idleFor / 60000)} min ${previous}`, "JANITOR");
+            report.expired++;
+        } else if (['error', 'cancelled', 'expired'].includes(job.status) && idleFor > JOB_RECORD_TTL) {
+            removeJobFiles(jobId);
+            delete jobs[jobId];
+            report.purged++;
+        } else if (['error', 'cancelled'].includes(job.status) && idleFor > JOB_TTL) {
+            removeJobFiles(jobId); // Record stays retryable, a retry starts from scratch anyway
+        }
+    });
+
+    // Batches go once none of their jobs are left
+    Object.entries(batches).forEach(([batchId, batch]) => {
+        if (!batch.jobs.some(j => jobs[j.jobId])) delete batches[batchId];
+    });
+
+    report.orphans = sweepOrphans().removed;
+    sweepJobLogs();
+    report.freedBytes = Math.max(0, before - measureTemp({ fresh: true }).bytes);
+    if (report.expired || report.purged || report.orphans) {
+        logger(null, `Janitor: ${report.expired} expired, ${report.purged} records purged, ${report.orphans} orphan file(s), ${(report.freedBytes / 1024 ** 2).toFixed(1)} MB freed`, "JANITOR");
+    }
+    saveJobStore(true);
+    pumpQueue();
+    return report;
+};
+
+// Startup pass: leftovers from jobs lost before the job store existed, or from a crash mid-cleanup
+setImmediate(() => {
+    const { removed, bytes } = sweepOrphans();
+    if (removed) logger(null, `Startup sweep removed ${removed} orphaned temp file(s) (${(bytes / 1024 ** 2).toFixed(1)} MB)`, "JANITOR");
+    sweepJobLogs();
+});
+setInterval(runJanitor, JANITOR_INTERVAL).unref();
+
+// --- MEDIA LIBRARY ---
+// Finished outputs are retained under data/library, keyed by everything that shapes the file: canonical URL,
+// format selection, output profile, clips, subtitles and chapter mode. An identical request completes from here
+const libraryItems = {};
+
+const saveLibrary = () => {
+    try {
+        const tmpFile = LIBRARY_STORE + '.tmp';
+        fs.writeFileSync(tmpFile, JSON.stringify(libraryItems, null, 2));
+        fs.renameSync(tmpFile, LIBRARY_STORE);
+    } catch (err) {
+        logger(null, `Library index write failed: ${err.message}`, "ERROR");
+    }
+};
+
+const libraryFilePath = (item) => path.join(LIBRARY_DIR, item.file);
+
+if (LIBRARY_ENABLED) {
+    if (!fs.existsSync(LIBRARY_DIR)) fs.mkdirSync(LIBRARY_DIR);
+    if (fs.existsSync(LIBRARY_STORE)) {
+        try {
+            Object.assign(libraryItems, JSON.parse(fs.readFileSync(LIBRARY_STORE, 'utf8')));
+        } catch (err) {
+            logger(null, `Library index unreadable, starting empty: ${err.message}`, "WARN");
+        }
+    }
+    // Files deleted by hand leave dangling entries behind
+    Object.values(libraryItems).filter(item => !fs.existsSync(libraryFilePath(item))).forEach(item => delete libraryItems[item.id]);
+}
+
+// Separately delivered subtitle files live next to the output in temp/, so those jobs are not retained
+// Outputs fetched with someone's own cookies (members-only, private accounts) stay with that fetch: they are neither
+// shared with the team nor served from the library. Profiles shared with everyone and the server-wide cookies.txt are fine
+const usedPrivateCookies = (job) => {
+    if (!job.cookieProfile || job.cookieProfile === 'none') return false;
+    const profile = cookieProfiles[job.cookieProfile];
+    return !(profile && profile.users.includes('*')); // A profile deleted since counts as private
+};
+
+const isLibraryEligible = (job) => LIBRARY_ENABLED && !(job.subtitles && job.subtitles.mode === 'file') && !usedPrivateCookies(job);
+
+const libraryKey = (job) => sha256(JSON.stringify({
+    url: cleanMediaUrl(job.url),
+    format: job.formatSelection,
+    profile: job.profile ? { ...job.profile, label: undefined } : null,
+    clips: job.clips || [],
+    subtitles: job.subtitles || null,
+    chapterMode: job.chapterMode || 'embed',
+    ...(job.quality ? { quality: job.quality } : {}) // Only present when set, so older items keep their keys
+}));
+
+const findLibraryItem = (key) => {
+    const item = Object.values(libraryItems).find(i => i.key === key);
+    if (item && !fs.existsSync(libraryFilePath(item))) {
+        delete libraryItems[item.id];
+        saveLibrary();
+        return null;
+    }
+    return item || null;
+};
+
+const libraryUsage = () => Object.values(libraryItems).reduce((sum, item) => sum + (item.size || 0), 0);
+
+const removeLibraryItem = (item) => {
+    if (fs.existsSync(libraryFilePath(item))) fs.unlinkSync(libraryFilePath(item));
+    delete libraryItems[item.id];
+};
+
+// Evicts least recently used items until the library fits its cap again
+const enforceLibraryCap = (keepId) => {
+    if (!LIBRARY_MAX_BYTES) return;
+    const byAge = Object.values(libraryItems).filter(i => i.id !== keepId).sort((a, b) => a.lastAccessedAt - b.lastAccessedAt);
+    while (libraryUsage() > LIBRARY_MAX_BYTES && byAge.length) {
+        const item = byAge.shift();
+        removeLibraryItem(item);
+        logger(null, `Library full, evicted "${item.title}" (${(item.size / 1024 ** 2).toFixed(1)} MB)`, "LIBRARY");
+    }
+};
+
+// rename() cannot cross filesystems, e.g. when data/ is a mounted volume
+const moveFile = (from, to) => {
+    try {
+        fs.renameSync(from, to);
+    } catch (err) {
+        if (err.code !== 'EXDEV') throw err;
+        fs.copyFileSync(from, to);
+        fs.unlinkSync(from);
+    }
+};
+
+// Moves a finished output into the library, or onto an identical item that finished first
+const retainInLibrary = (jobId) => {
+    const job = jobs[jobId];
+    if (!isLibraryEligible(job)) return;
+
+    const tempFile = path.join(TEMP_DIR, job.file);
+    let item = findLibraryItem(libraryKey(job));
+    try {
+        if (item) {
+            fs.unlinkSync(tempFile);
+        } else {
+            const id = uuidv4();
+            const now = Date.now();
+            item = {
+                id, key: libraryKey(job), file: `${id}${path.extname(job.file)}`, title: job.title, thumbnail: job.thumbnail || null,
+                url: cleanMediaUrl(job.url), platform: detectPlatform(job.url), customTag: job.customTag,
+                profile: job.profile ? job.profile.id : 'mp4', size: fs.statSync(tempFile).size,
+                addedBy: job.owner, createdAt: now, lastAccessedAt: now, hits: 0
+            };
+            moveFile(tempFile, libraryFilePath(item));
+            libraryItems[id] = item;
+            enforceLibraryCap(id);
+            logger(jobId, `Retained in library as ${item.file}`, "LIBRARY");
+        }
+        job.libraryId = item.id;
+        job.file = item.file;
+        saveLibrary();
+    } catch (err) {
+        logger(jobId, `Could not add output to the library, serving it from temp: ${err.message}`, "WARN");
+    }
+};
+
+// Library hit: the job is born completed and points at the retained file
+const completeFromLibrary = (jobId, item) => {
+    const job = jobs[jobId];
+    Object.assign(job, {
+        status: 'completed', phase: 'completed', progress: '100%', file: item.file, fileSize: item.size,
+        libraryId: item.id, fromLibrary: true, encodePath: 'library', encodeReason: 'Served from the media library'
+    });
+    item.hits++;
+    item.lastAccessedAt = Date.now();
+    saveLibrary();
+    recordUsage(job.owner, { downloads: 1, bytes: item.size });
+    touchJob(jobId, true);
+    logger(jobId, `Library hit for "${item.title}", nothing to download`, "LIBRARY");
+    return jobId;
+};
+
+// Titles are client-supplied and end up in the shared library and history, so keep them to one plain line
+const MAX_TITLE_LENGTH = 200;
+const cleanTitle = (title) => String(title ?? '').replace(/[<>]/g, '').replace(/[\s\u0000-\u001f\u007f]+/g, ' ').slice(0, MAX_TITLE_LENGTH).trim() || 'Untitled';
+
+// Shared by single downloads and playlist batches; returns the new jobId immediately
+const startDownloadJob = ({ url, formatSelection, title: rawTitle, thumbnail = null, mediaDuration = null, customTag, batchId = null, priority = 0, profile, encodePlan, quality = null, clips = [], subtitles = null, chapterMode = 'embed', owner, cookieProfile = null }) => {
+    const jobId = uuidv4();
+    const title = cleanTitle(rawTitle);
+    const historyEntry = addHistory({
+        kind: 'download', jobId, batchId, user: owner, url: cleanMediaUrl(url), title, thumbnail, platform: detectPlatform(url),
+        formats: profile
+            ? { selection: formatSelection, tag: customTag, profile: profile.id, container: profile.container, videoCodec: profile.videoCodec, audioCodec: profile.audioCodec, audioBitrate: profile.audioBitrate, quality: quality || undefined }
+            : { selection: formatSelection, tag: customTag },
+        clips: clips.length || undefined, subtitles: subtitles ? subtitles.mode : undefined, chapterMode,
+        mediaDuration: Number(mediaDuration) || null, status: 'queued'
+    });
+    jobs[jobId] = {
+        status: 'queued', progress: '0%', file: null, customTag, title, thumbnail, batchId, url, formatSelection, priority: Number(priority) || 0, createdAt: Date.now(),
+        profile, encodePath: encodePlan.path, encodeReason: encodePlan.reason, quality, clips, subtitles, chapterMode, owner, cookieProfile, historyId: historyEntry.id
+    };
+
+    const retained = isLibraryEligible(jobs[jobId]) ? findLibraryItem(libraryKey(jobs[jobId])) : null;
+    if (retained) return completeFromLibrary(jobId, retained);
+
+    recordUsage(owner, { downloads: 1 });
+
+    logger(jobId, `Download initiated for "${title}"`, "START");
+    logger(jobId, `Encode plan: ${encodePlan.path} (${encodePlan.reason})`, "CODEC");
+    if (quality) logger(jobId, `Quality override: ${JSON.stringify(quality)}`, "CODEC");
+    if (chapterMode === 'split') logger(jobId, `Splitting by chapter into a ZIP`, "CHAPTERS");
+    if (subtitles) logger(jobId, `Subtitles: ${subtitles.languages.join(', ')} (${subtitles.mode})`, "SUBS");
+    if (clips.length > 0) logger(jobId, `Clipping to ${clips.map(c => `${c.start}s-${c.end === null ? 'end' : `${c.end}s`}`).join(', ')}`, "CLIP");
+    enqueueJob(jobId);
+    return jobId;
+};
+
+// --- API: DOWNLOAD & PROCESS ---
+// Quota and disk checks for anything that starts a download run: new jobs, batches, retries and resumes
+const admitDownloads = (user, count = 1) => {
+    const overQuota = quotaError(user, count);
+    if (overQuota) throw requestError(overQuota, 429);
+    const diskFull = diskFullError();
+    if (diskFull) throw requestError(diskFull, 507);
+};
+
+// Shared by POST /api/download and the CLI's local mode
+const createDownload = async (user, body) => {
+    const { url, vId, aId, vLabel, aLabel, title, priority, vCodec, aCodec } = body;
+
+    admitDownloads(user, 1);
+
+    let profile, quality, clips, subtitles, cookies;
+    try {
+        profile = resolveProfile(body);
+        quality = resolveQuality(body, profile);
+        clips = resolveClips(body, Number(body.duration) || 0);
+        subtitles = resolveSubtitles(body, profile);
+        cookies = resolveCookies(user, cleanMediaUrl(url), body.cookieProfile);
+        await guardOutboundUrl(cleanMediaUrl(url));
+    } catch (err) {
+        throw requestError(err.message);
+    }
+    // Section downloads do not shift subtitle timestamps, so the tracks would drift out of sync
+    if (subtitles && clips.length > 0) {
+        throw requestError('Subtitles cannot be combined with clip ranges yet');
+    }
+    if (subtitles && subtitles.mode === 'burn' && !vId) {
+        throw requestError('Burning in subtitles needs a video stream');
+    }
+
+    let chapterMode = body.chapters || 'embed';
+    if (!CHAPTER_MODES.includes(chapterMode)) {
+        throw requestError(`Chapter mode must be one of ${CHAPTER_MODES.join(', ')}`);
+    }
+    if (clips.length > 0) {
+        if (chapterMode === 'split') throw requestError('Split by chapter cannot be combined with clip ranges');
+        chapterMode = 'none'; // Chapter timestamps refer to the full video, not the clip
+    }
+
+    // aCodec comes from the audio stream, or from the video stream itself when it is pre-merged
+    const hasAudio = Boolean(aId || aCodec);
+    if (profile.audioOnly && !hasAudio) {
+        throw requestError(`${profile.label} needs an audio stream. Pick an audio track first.`);
+    }
+
+    // Audio-only profiles only fetch the audio track (or the pre-merged stream it lives in)
+    const formatSelection = profile.audioOnly ? (aId || vId) : ((vId && aId) ? `${vId}+${aId}` : (vId || aId));
+    const clipTag = clips.length === 0 ? '' : (clips.length === 1 ? '_CLIP' : `_${clips.length}CLIPS`);
+    const chapterTag = chapterMode === 'split' ? '_CHAPTERS' : '';
+    const namingTag = (profile.audioOnly ? `${aLabel || 'Audio'}_${profile.id.toUpperCase()}` : `${vLabel || 'NoVideo'}_${aLabel || 'NoAudio'}`) + clipTag + chapterTag;
+    const encodePlan = planEncode({ hasVideo: Boolean(vId), hasAudio, vCodec, aCodec, quality }, profile);
+
+    const jobId = startDownloadJob({ url, formatSelection, title, thumbnail: body.thumbnail, mediaDuration: body.duration, customTag: namingTag, priority, profile, encodePlan, quality, clips, subtitles, chapterMode, owner: user.username,
+        cookieProfile: body.cookieProfile === 'none' ? 'none' : (cookies.profile ? cookies.profile.id : null) });
+    return { jobId, queuePosition: queuePosition(jobId) };
+};
+
+app.post('/api/download', rateLimit('download'), respondWith(createDownload));
+
+// --- API: CONFIG ---
+// Read-only view of the effective settings and the layer each one came from; secrets never leave the process
+app.get('/api/config', (req, res) => {
+    const settings = Object.entries(CONFIG_SCHEMA).filter(([, spec]) => !spec.secret).map(([key, spec]) => ({
+        key, value: config[key], source: configSources[key], description: spec.description
+    }));
+    res.json({ file: CONFIG_FILE, settings });
+});
+
+// --- API: HEALTH & DIAGNOSTICS ---
+// ffmpeg and yt-dlp versions are probed at startup and again whenever a report asks for data older than this
+const DEPENDENCY_CHECK_TTL = 10 * 60 * 1000;
+const DEPENDENCY_PROBE_TIMEOUT = 15000;
+
+let dependencies = null; // { checkedAt, ffmpeg: { ok, version, error }, ytdlp: { ok, version, ageDays, error } }
+let dependencyProbe = null;
+
+const probeFfmpeg = () => {
+    const result = spawnSync('ffmpeg', ['-hide_banner', '-version'], { timeout: DEPENDENCY_PROBE_TIMEOUT });
+    if (result.error) return { ok: false, version: null, error: result.error.code === 'ENOENT' ? 'ffmpeg is not installed or not on PATH' : result.error.message };
+    if (result.status !== 0) return { ok: false, version: null, error: `ffmpeg -version exited with code ${result.status}` };
+    const match = result.stdout.toString().match(/^ffmpeg version (\S+)/);
+    return { ok: true, version: match ? match[1] : 'unknown' };
+};
+
+// yt-dlp versions are release dates (2025.01.01, nightlies add a suffix), which gives the age for free
+const probeYtdlp = async () => {
+    let timer;
+    try {
+        const timeout = new Promise((resolve, reject) => { timer = setTimeout(() => reject(new Error('yt-dlp --version timed out')), DEPENDENCY_PROBE_TIMEOUT); });
+        const version = String(await Promise.race([new YtDlp().getVersionAsync(), timeout])).trim();
+        const date = version.match(/^(\d{4})\.(\d{2})\.(\d{2})/);
+        const ageDays = date ? Math.floor((Date.now() - Date.UTC(date[1], date[2] - 1, date[3])) / 86400000) : null;
+        return { ok: true, version, ageDays };
+    } catch (err) {
+        return { ok: false, version: null, error: err.message };
+    } finally {
+        clearTimeout(timer);
+    }
+};
+
+// Concurrent callers share one probe
+const refreshDependencies = () => {
+    if (!dependencyProbe) {
+        dependencyProbe = probeYtdlp()
+            .then(ytdlp => (dependencies = { checkedAt: Date.now(), ffmpeg: probeFfmpeg(), ytdlp }))
+            .finally(() => { dependencyProbe = null; });
+    }
+    return dependencyProbe;
+};
+
+const dependenciesStale = () => !dependencies || Date.now() - dependencies.checkedAt > DEPENDENCY_CHECK_TTL;
+
+// The shared cookies.txt plus every profile the user can pick, with per-domain expiry
+const cookieDiagnostics = (user) => {
+    const sources = Object.values(cookieProfiles).filter(p => profileVisibleTo(user, p))
+        .map(p => ({ name: p.name, profileId: p.id, sites: p.summary }));
+    if (fs.existsSync(COOKIES)) {
+        try {
+            sources.unshift({ name: path.basename(COOKIES), profileId: null, sites: summarizeCookies(parseCookieFile(fs.readFileSync(COOKIES, 'utf8')).cookies) });
+        } catch (err) {
+            logger(null, `Could not read ${COOKIES}: ${err.message}`, "WARN");
+        }
+    }
+    return sources.map(source => ({
+        ...source,
+        sites: source.sites.map(site => ({ ...site, isExpired: isSiteExpired(site), expiresSoon: Boolean(isSiteExpiringSoon(site)) }))
+    }));
+};
+
+// Everything that makes downloads fail before they start; each check is ok, warn or fail
+const buildDiagnostics = async (user, { refresh = false } = {}) => {
+    const deps = refresh || dependenciesStale() ? await refreshDependencies() : dependencies;
+    const checks = [];
+    const check = (id, status, message) => checks.push({ id, status, message });
+
+    if (!deps.ffmpeg.ok) check('ffmpeg', 'fail', `${deps.ffmpeg.error}. Merging, re-encoding and thumbnails all need it`);
+    else check('ffmpeg', 'ok', `ffmpeg ${deps.ffmpeg.version}`);
+
+    const maxAge = config.ytdlpMaxAgeDays;
+    if (!deps.ytdlp.ok) check('ytdlp', 'fail', `yt-dlp is not usable: ${deps.ytdlp.error}`);
+    else if (maxAge && deps.ytdlp.ageDays > maxAge) check('ytdlp', 'warn', `yt-dlp ${deps.ytdlp.version} is ${deps.ytdlp.ageDays} days old; sites break old releases, update it (yt-dlp -U)`);
+    else check('ytdlp', 'ok', `yt-dlp ${deps.ytdlp.version}`);
+
+    const encoders = Object.fromEntries(Object.keys(VIDEO_ENCODERS).map(codec => {
+        const active = activeEncoder(codec);
+        const test = encoderTests[active];
+        return [codec, { active, working: Boolean(test && test.ok), hardware: isHardwareEncoder(active) }];
+    }));
+    if (deps.ffmpeg.ok) {
+        if (!encoders.h264.working) check('encoders', 'fail', 'No working H.264 encoder: MP4 and MOV downloads that need a re-encode will fail');
+        else check('encoders', 'ok', Object.entries(encoders).filter(([, e]) => e.working).map(([codec, e]) => `${codec}: ${e.active}`).join(', '));
+    }
+
+    const cookies = cookieDiagnostics(user);
+    cookies.forEach(source => source.sites.forEach(site => {
+        if (site.isExpired) check('cookies', 'warn', `Cookies for ${site.domain} in "${source.name}" have expired; re-export them`);
+        else if (site.expiresSoon) check('cookies', 'warn', `Cookies for ${site.domain} in "${source.name}" expire on ${new Date(site.expiresAt).toISOString().slice(0, 10)}`);
+    }));
+    if (!checks.some(c => c.id === 'cookies')) check('cookies', 'ok', cookies.length ? 'No expired cookies' : 'No cookie files configured');
+
+    const disk = diskSpace();
+    const temp = measureTemp();
+    const diskFull = diskFullError();
+    if (diskFull) check('disk', 'fail', diskFull);
+    else if (disk && MIN_FREE_BYTES && disk.free < MIN_FREE_BYTES * 2) check('disk', 'warn', `Only ${(disk.free / 1024 ** 3).toFixed(1)} GB free; new jobs are refused below ${(MIN_FREE_BYTES / 1024 ** 3).toFixed(1)} GB`);
+    else if (MAX_TEMP_BYTES && temp.bytes >= MAX_TEMP_BYTES * 0.9) check('disk', 'warn', `Temp folder is at ${Math.round(temp.bytes / MAX_TEMP_BYTES * 100)}% of its cap; new jobs wait once it is full`);
+    else check('disk', 'ok', disk ? `${(disk.free / 1024 ** 3).toFixed(1)} GB free` : 'Free space unknown');
+
+    const active = Object.values(jobs).filter(j => j.status === 'downloading').length;
+    const waitingForDisk = Boolean(MAX_TEMP_BYTES) && jobQueue.length > 0 && temp.bytes >= MAX_TEMP_BYTES;
+    check('queue', waitingForDisk ? 'warn' : 'ok', `${active}/${MAX_CONCURRENT_JOBS} running, ${jobQueue.length} queued${waitingForDisk ? ', held until temp space frees up' : ''}`);
+
+    return {
+        status: checks.some(c => c.status === 'fail') ? 'fail' : (checks.some(c => c.status === 'warn') ? 'warn' : 'ok'),
+        checkedAt: deps.checkedAt,
+        versions: { node: process.version, ffmpeg: deps.ffmpeg.version, ytdlp: deps.ytdlp.version, ytdlpAgeDays: deps.ytdlp.ageDays },
+        encoders,
+        cookies,
+        disk: { free: disk ? disk.free : null, total: disk ? disk.total : null, tempBytes: temp.bytes, tempLimitBytes: MAX_TEMP_BYTES || null, minFreeBytes: MIN_FREE_BYTES || null },
+        queue: { active, queued: jobQueue.length, maxConcurrent: MAX_CONCURRENT_JOBS, waitingForDisk },
+        checks
+    };
+};
+
+// Unauthenticated liveness/readiness probe for uptime monitors: 503 until ffmpeg and yt-dlp answer and while the disk
+// is full. It never spawns processes itself; stale results only trigger a background re-check
+app.get('/api/health', (req, res) => {
+    if (dependenciesStale()) refreshDependencies();
+    const diskOk = !diskFullError();
+    const ready = Boolean(dependencies) && dependencies.ffmpeg.ok && dependencies.ytdlp.ok && diskOk;
+    res.status(ready ? 200 : 503).json({
+        status: ready ? 'ok' : (dependencies ? 'unavailable' : 'starting'),
+        uptime: Math.round(process.uptime()),
+        checks: dependencies ? { ffmpeg: dependencies.ffmpeg.ok, ytdlp: dependencies.ytdlp.ok, disk: diskOk } : null
+    });
+});
+
+// ?refresh=1 re-runs the version probes instead of using the cached ones
+app.get('/api/diagnostics', async (req, res) => {
+    res.json(await buildDiagnostics(req.user, { refresh: req.query.refresh === '1' }));
+});
+
+// --- METRICS ENDPOINT ---
+// Outside /api so scrapers skip the API rate limit. With auth on, scrape with an admin API key as bearer token
+const escapeLabel = (value) => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+const formatLabels = (labels) => {
+    const pairs = Object.entries(labels).map(([key, value]) => `${key}="${escapeLabel(value)}"`);
+    return pairs.length ? `{${pairs.join(',')}}` : '';
+};
+
+const renderMetric = ({ name, type, help, buckets, series }) => {
+    const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`];
+    series.forEach(entry => {
+        if (type !== 'histogram') return lines.push(`${name}${formatLabels(entry.labels)} ${entry.value}`);
+        buckets.forEach((le, idx) => lines.push(`${name}_bucket${formatLabels({ ...entry.labels, le })} ${entry.counts[idx]}`));
+        lines.push(`${name}_bucket${formatLabels({ ...entry.labels, le: '+Inf' })} ${entry.count}`);
+        lines.push(`${name}_sum${formatLabels(entry.labels)} ${entry.sum}`);
+        lines.push(`${name}_count${formatLabels(entry.labels)} ${entry.count}`);
+    });
+    return lines.join('\n');
+};
+
+const scrapeGauges = () => {
+    const temp = measureTemp();
+    const disk = diskSpace();
+    const byStatus = {};
+    Object.values(jobs).forEach(j => { byStatus[j.status] = (byStatus[j.status] || 0) + 1; });
+    const gauge = (name, help, samples) => ({ name, type: 'gauge', help, series: samples.map(([labels, value]) => ({ labels, value })) });
+
+    return [
+        gauge('umx_queue_length', 'Jobs waiting for a pipeline slot', [[{}, jobQueue.length]]),
+        gauge('umx_jobs', 'Job records by status', Object.entries(byStatus).map(([status, n]) => [{ status }, n])),
+        gauge('umx_job_slots', 'Configured maximum of concurrently running jobs', [[{}, MAX_CONCURRENT_JOBS]]),
+        gauge('umx_pipeline_processes', 'Running yt-dlp/ffmpeg pipelines', [[{}, Object.keys(activeProcesses).length]]),
+        gauge('umx_analyses_in_flight', 'Analyses currently waiting on yt-dlp', [[{}, activeAnalyses]]),
+        gauge('umx_temp_bytes', 'Bytes used by files in the temp folder', [[{}, temp.bytes]]),
+        gauge('umx_temp_files', 'Files in the temp folder', [[{}, temp.files]]),
+        gauge('umx_temp_limit_bytes', 'Configured temp folder cap, 0 when unlimited', [[{}, MAX_TEMP_BYTES]]),
+        ...(disk ? [gauge('umx_disk_free_bytes', 'Free bytes on the temp folder volume', [[{}, disk.free]])] : []),
+        gauge('umx_process_resident_memory_bytes', 'Resident memory of the server process', [[{}, process.memoryUsage().rss]]),
+        gauge('umx_process_uptime_seconds', 'Seconds since the server started', [[{}, Math.round(process.uptime())]])
+    ];
+};
+
+app.get('/metrics', requireAdmin, (req, res) => {
+    res.setHeader('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+    res.send([...Object.values(metrics), ...scrapeGauges()].map(renderMetric).join('\n') + '\n');
+});
+
+// --- API: OUTPUT PROFILES ---
+app.get('/api/profiles', (req, res) => {
+    res.json({
+        profiles: Object.entries(OUTPUT_PROFILES).map(([id, p]) => ({ id, ...p })),
+        videoCodecs: Object.keys(VIDEO_ENCODERS),
+        audioCodecs: Object.keys(AUDIO_ENCODERS),
+        audioBitrates: AUDIO_BITRATES,
+        presets: ENCODER_PRESETS,
+        qualityOverrides: encodingSettings.allowRequestOverrides
+    });
+});
+
+// --- API: PLAYLIST BATCH DOWNLOAD ---
+// Flat playlist entries carry no format table, so batches pick streams by quality preset
+const BATCH_PRESETS = {
+    best: { format: 'bestvideo+bestaudio/best', tag: 'Best' },
+    '1080p': { format: 'bestvideo[height<=1080]+bestaudio/best[height<=1080]', tag: '1080p' },
+    '720p': { format: 'bestvideo[height<=720]+bestaudio/best[height<=720]', tag: '720p' },
+    '480p': { format: 'bestvideo[height<=480]+bestaudio/best[height<=480]', tag: '480p' },
+    audio: { format: 'bestaudio/best', tag: 'AudioOnly' }
+};
+
+// Shared by POST /api/batch and the CLI's local mode
+const createBatch = async (user, body) => {
+    const { title, entries, quality, priority } = body;
+
+    let profile, encodeQuality; // `quality` is the batch's resolution preset
+    try {
+        profile = resolveProfile(body);
+        encodeQuality = resolveQuality(body, profile);
+        if (body.cookieProfile) resolveCookies(user, '', body.cookieProfile); // Only validates visibility
+    } catch (err) {
+        throw requestError(err.message);
+    }
+    // Audio-only profiles override the quality preset, there is no video to cap
+    const preset = profile.audioOnly ? BATCH_PRESETS.audio : (BATCH_PRESETS[quality] || BATCH_PRESETS.best);
+
+    if (!Array.isArray(entries) || entries.length === 0) {
+        throw requestError('No playlist entries selected');
+    }
+    if (entries.length > MAX_BATCH_ENTRIES) {
+        throw requestError(`A batch is limited to ${MAX_BATCH_ENTRIES} entries`);
+    }
+    admitDownloads(user, entries.length);
+
+    try {
+        await Promise.all(entries.map(entry => guardOutboundUrl(cleanMediaUrl(entry.url))));
+    } catch (err) {
+        throw requestError(err.message);
+    }
+
+    // Flat entries don't expose codecs: MKV can still stream-copy anything, other containers take the safe re-encode
+    const encodePlan = planEncode({ hasVideo: !profile.audioOnly, hasAudio: true, vCodec: null, aCodec: null, quality: encodeQuality }, profile);
+
+    const batchId = uuidv4();
+    logger(null, `Batch ${batchId.substring(0, 8)} queued: ${entries.length} entries from "${title}" (${preset.tag})`, "BATCH");
+
+    const batchJobs = entries.map(entry => ({
+        jobId: startDownloadJob({ url: entry.url, formatSelection: preset.format, title: entry.title, thumbnail: entry.thumbnail, mediaDuration: entry.duration, customTag: preset.tag, batchId, priority, profile, encodePlan, quality: encodeQuality, owner: user.username,
+            // Each entry may live on a different site, so the cookie profile is picked per entry
+            cookieProfile: body.cookieProfile === 'none' ? 'none' : ((resolveCookies(user, entry.url, body.cookieProfile).profile || {}).id || null) }),
+        url: entry.url,
+        title: entry.title
+    }));
+
+    batches[batchId] = { title, quality: preset.tag, profile: profile.id, jobs: batchJobs, owner: user.username };
+    saveJobStore(true);
+    return { batchId, jobs: batchJobs };
+};
+
+app.post('/api/batch', rateLimit('download'), respondWith(createBatch));
+
+app.get('/api/batch/:batchId', (req, res) => {
+    const batch = batches[req.params.batchId];
+    if (!batch) return res.status(404).json({ error: 'Batch not found' });
+
+    // Jobs are purged from memory once their file is sent, so a missing job counts as delivered
+    const items = batch.jobs.map(j => {
+        const job = jobs[j.jobId];
+        return {
+            jobId: j.jobId,
+            title: j.title,
+            status: job ? job.status : 'delivered',
+            progress: job ? job.progress : '100%',
+            error: job ? job.error || null : null,
+            queuePosition: queuePosition(j.jobId)
+        };
+    });
+
+    const done = items.filter(i => ['completed', 'delivered'].includes(i.status)).length;
+    const failed = items.filter(i => i.status === 'error').length;
+    const cancelled = items.filter(i => i.status === 'cancelled').length;
+    const overall = items.reduce((sum, i) => sum + (parseFloat(i.progress) || 0), 0) / items.length;
+
+    res.json({
+        title: batch.title,
+        total: items.length,
+        completed: done,
+        failed,
+        cancelled,
+        finished: done + failed + cancelled === items.length,
+        progress: `${overall.toFixed(1)}%`,
+        jobs: items
+    });
+});
+
+
+// --- API: STATUS ---
+app.get('/api/status/:jobId', (req, res) => {
+    res.json(jobSnapshot(req.params.jobId) || {});
+});
 
-if (!fs.existsSync(TEMP_DIR)) {
-    console.log(`[SYSTEM] Creating temporary directory at: ${TEMP_DIR}`);
-    fs.mkdirSync(TEMP_DIR);
-}
+// --- API: LIVE JOB EVENTS (SSE) ---
+// "status" fires on status/phase changes, "progress" on byte/speed/ETA ticks; each carries the full snapshot
+app.get('/api/jobs/:jobId/events', (req, res) => {
+    const { jobId } = req.params;
+    if (!jobs[jobId]) return res.status(404).json({ error: 'Job not found' });
 
-const jobs = {};
-let selectedEncoder = 'libx264';
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no' // Stop reverse proxies (nginx, cloudflared) from buffering the stream
+    });
 
-// --- SYSTEM LOGGER HELPER ---
-const logger = (jobId, message, type = 'INFO') => {
-    const timestamp = new Date().toISOString().replace(/T/, ' ').replace(/\..+/, '');
-    const idTag = jobId ? `[Job: ${jobId.substring(0, 8)}]` : '[SYSTEM]';
-    const typeTag = `[${type}]`.padEnd(8);
-    console.log(`${timestamp} ${idTag} ${typeTag} ${message}`);
+    let lastStage = null;
+    const send = (snapshot) => {
+        const stage = `${snapshot.status}:${snapshot.phase}`;
+        const event = stage === lastStage ? 'progress' : 'status';
+        lastStage = stage;
+        res.write(`event: ${event}\ndata: ${JSON.stringify(snapshot)}\n\n`);
+    };
+
+    send(jobSnapshot(jobId));
+    jobEvents.on(jobId, send);
+    const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        jobEvents.off(jobId, send);
+    });
+});
+
+// --- API: QUEUE MANAGEMENT ---
+app.get('/api/queue', (req, res) => {
+    const summarize = (jobId) => ({ jobId, title: jobs[jobId].title, priority: jobs[jobId].priority || 0, progress: jobs[jobId].progress });
+    const visible = (jobId) => canAccess(req.user, jobs[jobId]); // Positions stay global, other users' entries are hidden
+    const active = Object.keys(jobs).filter(id => jobs[id].status === 'downloading');
+    res.json({
+        maxConcurrent: MAX_CONCURRENT_JOBS,
+        totalActive: active.length,
+        totalQueued: jobQueue.length,
+        waitingForDisk: Boolean(MAX_TEMP_BYTES) && jobQueue.length > 0 && measureTemp().bytes >= MAX_TEMP_BYTES,
+        active: active.filter(visible).map(summarize),
+        queued: jobQueue.map((jobId, idx) => ({ ...summarize(jobId), position: idx + 1 })).filter(j => visible(j.jobId))
+    });
+});
+
+// Moves a waiting job to a new 1-based position; "bump" is shorthand for position 1
+const moveQueuedJob = (req, res, position) => {
+    const { jobId } = req.params;
+    const from = jobQueue.indexOf(jobId);
+    if (from === -1) return res.status(404).json({ error: 'Job is not waiting in the queue' });
+
+    const target = Math.min(Math.max(parseInt(position, 10) || 1, 1), jobQueue.length) - 1;
+    jobQueue.splice(from, 1);
+    jobQueue.splice(target, 0, jobId);
+    saveJobStore(true);
+    publishQueue();
+
+    logger(jobId, `Moved in queue: #${from + 1} -> #${target + 1}`, "QUEUE");
+    res.json({ jobId, queuePosition: target + 1 });
 };
 
-// --- URL SANITIZER ---
-const cleanMediaUrl = (rawUrl) => {
-    try {
-        const parsed = new URL(rawUrl);
-        
-        // Strip YouTube Playlist & Tracking Params
-        if (parsed.hostname.includes('youtube.com')) {
-            parsed.searchParams.delete('list');
-            parsed.searchParams.delete('index');
-            parsed.searchParams.delete('si');
-            parsed.searchParams.delete('pp');
-        } else if (parsed.hostname.includes('youtu.be')) {
-            parsed.searchParams.delete('si');
-            parsed.searchParams.delete('pp');
-        }
-        
-        // Universal tracking parameters to strip for IG, TikTok, FB, Snap
-        const trackingParams = ['igsh', 'utm_source', 'utm_medium', 'utm_campaign', 'is_from_webapp', 'sender_device', 'share_app_id', 'feature', 'fbclid'];
-        trackingParams.forEach(param => parsed.searchParams.delete(param));
-        
-        return parsed.toString();
-    } catch (e) {
-        return rawUrl; // Fallback to raw URL if parsing fails
+app.post('/api/queue/:jobId/bump', (req, res) => moveQueuedJob(req, res, 1));
+app.post('/api/queue/:jobId/move', (req, res) => {
+    const { position } = req.body || {};
+    if (!Number.isInteger(position)) return res.status(400).json({ error: 'position must be an integer' });
+    moveQueuedJob(req, res, position);
+});
+
+// --- API: RESUME AFTER RESTART OR PAUSE ---
+// yt-dlp picks up its own .part files, so resuming just re-queues the pipeline for the same job
+app.post('/api/jobs/:jobId/resume', rateLimit('download'), (req, res) => {
+    const job = jobs[req.params.jobId];
+    if (!job) return res.status(404).json({ error: 'Job not found' });
+    if (!['interrupted', 'paused'].includes(job.status) || !job.resumable) {
+        return res.status(409).json({ error: `Job is ${job.status}, not resumable` });
+    }
+    // Same download, already charged when it was created; only the disk has to have room for the rest
+    const diskFull = diskFullError();
+    if (diskFull) return res.status(507).json({ error: diskFull });
+
+    logger(req.params.jobId, `Resuming ${job.status} download for "${job.title}"`, "RESUME");
+    enqueueJob(req.params.jobId, { front: true }); // Interrupted work goes ahead of fresh requests
+    res.json({ jobId: req.params.jobId, status: job.status, queuePosition: queuePosition(req.params.jobId) });
+});
+
+// --- API: PAUSE ---
+// Kills the pipeline but keeps its .part files so a later resume continues where it stopped
+app.post('/api/jobs/:jobId/pause', (req, res) => {
+    const job = jobs[req.params.jobId];
+    if (!job) return res.status(404).json({ error: 'Job not found' });
+    if (!['queued', 'downloading'].includes(job.status)) {
+        return res.status(409).json({ error: `Job is ${job.status}, cannot pause` });
     }
+
+    job.status = 'paused';
+    job.resumable = true;
+    stopJob(req.params.jobId);
+    touchJob(req.params.jobId, true);
+    logger(req.params.jobId, `Paused at ${job.progress}`, "PAUSE");
+    res.json({ jobId: req.params.jobId, status: job.status });
+});
+
+// --- API: CANCEL ---
+const cancelJob = (jobId) => {
+    const job = jobs[jobId];
+    const previous = job.status;
+    job.status = 'cancelled';
+    job.resumable = false;
+    stopJob(jobId);
+    const removedFiles = removeJobFiles(jobId);
+    touchJob(jobId, true);
+
+    logger(jobId, `Cancelled while ${previous}`, "CANCEL");
+    return { jobId, status: job.status, removedFiles };
 };
 
-// --- HARDWARE DETECTION ENGINE ---
-const detectHardware = () => {
-    console.log("\n" + "=".repeat(50));
-    logger(null, "Probing Hardware Acceleration Capabilities...");
+app.delete('/api/jobs/:jobId', (req, res) => {
+    if (!jobs[req.params.jobId]) return res.status(404).json({ error: 'Job not found' });
+    res.json(cancelJob(req.params.jobId));
+});
+
+// --- API: RETRY ---
+// Re-queues a failed job under the same jobId with its original url & format selection
+app.post('/api/jobs/:jobId/retry', rateLimit('download'), (req, res) => {
+    const job = jobs[req.params.jobId];
+    if (!job) return res.status(404).json({ error: 'Job not found' });
+    if (!['error', 'cancelled'].includes(job.status)) {
+        return res.status(409).json({ error: `Job is ${job.status}, only failed or cancelled jobs can be retried` });
+    }
+    if (!job.url || !job.formatSelection) {
+        return res.status(409).json({ error: 'Job has no stored url/format selection to retry with' });
+    }
+    // A retry is a fresh run, charged to whoever owns the job (jobs from before accounts fall back to the caller)
+    const owner = job.owner || req.user.username;
     try {
-        const encoders = execSync('ffmpeg -encoders').toString();
-
-        if (encoders.includes('h264_qsv')) {
-            selectedEncoder = 'h264_qsv';
-            logger(null, "SUCCESS: Found Intel QuickSync (h264_qsv)", "HARDWARE");
-        } else if (encoders.includes('h264_nvenc')) {
-            selectedEncoder = 'h264_nvenc';
-            logger(null, "SUCCESS: Found NVIDIA NVENC (h264_nvenc)", "HARDWARE");
-        } else if (encoders.includes('h264_videotoolbox')) {
-            selectedEncoder = 'h264_videotoolbox';
-            logger(null, "SUCCESS: Found Apple VideoToolbox (h264_videotoolbox)", "HARDWARE");
-        } else if (encoders.includes('h264_amf')) {
-            selectedEncoder = 'h264_amf';
-            logger(null, "SUCCESS: Found AMD AMF (h264_amf)", "HARDWARE");
-        } else {
-            logger(null, "NOTICE: No hardware encoder detected. Using CPU (libx264).", "FALLBACK");
-        }
+        admitDownloads({ username: owner }, 1);
     } catch (err) {
-        logger(null, "ERROR: FFmpeg probe failed. Is FFmpeg installed?", "CRITICAL");
+        return res.status(err.statusCode).json({ error: err.message });
     }
-    console.log("=".repeat(50) + "\n");
-};
-detectHardware();
+    recordUsage(owner, { downloads: 1 });
 
-// --- ROUTE: LOGO/FAVICON SERVING ---
-app.get('/favicon.ico', (req, res) => {
-    const logoPath = path.join(__dirname, 'favicon.ico');
-    if (fs.existsSync(logoPath)) {
-        res.sendFile(logoPath);
-    } else {
-        res.status(404).end();
+    removeJobFiles(req.params.jobId); // Start clean, a failed run may have left corrupt fragments
+    job.progress = '0%';
+    job.file = null;
+    delete job.error;
+    delete job.errorClass;
+    delete job.errorDetail;
+    delete job.encoderFallback; // The earlier attempt's fallbacks say nothing about this one
+    delete job.clipFallback;
+    job.retries = (job.retries || 0) + 1;
+
+    logger(req.params.jobId, `Retry #${job.retries} for "${job.title}"`, "RETRY");
+    enqueueJob(req.params.jobId);
+    res.json({ jobId: req.params.jobId, status: job.status, queuePosition: queuePosition(req.params.jobId) });
+});
+
+// --- API: SUBTITLE FILES ---
+// Tracks requested in "file" mode; fetch them before /api/file, which purges the whole job
+app.get('/api/jobs/:jobId/subtitles/:lang', (req, res) => {
+    const job = jobs[req.params.jobId];
+    if (!job || job.status !== 'completed') return res.status(400).send('File not ready');
+
+    const track = (job.subtitleFiles || []).find(t => t.lang === req.params.lang);
+    if (!track) return res.status(404).send('Subtitle track not found');
+
+    const safeTitle = (job.title || 'subtitles').replace(/[^a-z0-9]/gi, '_');
+    logger(req.params.jobId, `Transmitting subtitle track: ${track.file}`, "SEND");
+    res.download(path.join(TEMP_DIR, track.file), `${safeTitle}.${track.lang}${path.extname(track.file)}`);
+});
+
+// --- API: JOB LOG ---
+// The job's server messages and yt-dlp/ffmpeg stderr; ?format=text gives plain lines for curl and the UI's log view
+app.get('/api/jobs/:jobId/log', (req, res) => {
+    const { jobId } = req.params;
+    if (!jobs[jobId]) return res.status(404).json({ error: 'Job not found' });
+    const entries = readJobLog(jobId);
+    if (req.query.format === 'text') {
+        res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+        return res.send(entries.map(e => `${e.time} ${e.level.toUpperCase().padEnd(5)} [${e.source}] ${e.msg}`).join('\n') + '\n');
     }
+    const job = jobs[jobId];
+    res.json({ jobId, status: job.status, error: job.error || null, errorClass: job.errorClass || null, errorDetail: job.errorDetail || null, entries });
 });
 
-// Standard browser favicon request fallback
-app.get('/favfavicon.ico', (req, res) => {
-    const logoPath = path.join(__dirname, 'favicon.ico');
-    if (fs.existsSync(logoPath)) {
-        res.sendFile(logoPath);
-    } else {
-        res.status(404).end();
+// --- API: AUTH ---
+app.post('/api/login', rateLimit('login'), (req, res) => {
+    const { username, password } = req.body || {};
+    const user = findUser(String(username || ''));
+    if (!user || !verifyPassword(String(password || ''), user.password)) {
+        logger(null, `Failed login for "${username}" from ${req.ip}`, "AUTH");
+        return res.status(401).json({ error: 'Invalid username or password' });
+    }
+
+    const token = crypto.randomBytes(32).toString('base64url');
+    userStore.sessions[sha256(token)] = { username, expiresAt: Date.now() + SESSION_TTL };
+    saveUserStore();
+    res.setHeader('Set-Cookie', sessionCookie(req, token, SESSION_TTL));
+    logger(null, `User "${username}" logged in`, "AUTH");
+    res.json({ username, role: user.role });
+});
+
+app.post('/api/logout', (req, res) => {
+    const token = readCookie(req, SESSION_COOKIE);
+    if (token) {
+        delete userStore.sessions[sha256(token)];
+        saveUserStore();
     }
+    res.setHeader('Set-Cookie', sessionCookie(req, '', 0));
+    res.json({ ok: true });
 });
 
-// --- API: ANALYZE ---
-app.post('/api/analyze', async (req, res) => {
-    const { url } = req.body;
-    const cleanedUrl = cleanMediaUrl(url); // Sanitize the URL to prevent playlist crashes
-    logger(null, `Incoming analysis for URL: ${url}`);
+app.get('/api/me', (req, res) => {
+    res.json({
+        username: req.user.username,
+        role: req.user.role,
+        authEnabled: AUTH_ENABLED,
+        quota: effectiveQuota(req.user.username),
+        usage: usageFor(req.user.username)
+    });
+});
 
+app.post('/api/me/password', requireAccount, (req, res) => {
+    const { currentPassword, newPassword } = req.body || {};
+    if (!currentPassword || !newPassword) {
+        return res.status(400).json({ error: 'currentPassword and newPassword are required' });
+    }
+    const user = findUser(req.user.username);
+    if (!verifyPassword(String(currentPassword), user.password)) {
+        return res.status(403).json({ error: 'Current password is wrong' });
+    }
     try {
-        const ytdlp = new YtDlp();
-        const info = await ytdlp.getInfoAsync(cleanedUrl, { cookies: COOKIES });
-        logger(null, `Metadata retrieved for: "${info.title}"`);
+        validatePassword(newPassword);
+    } catch (err) {
+        return res.status(400).json({ error: err.message });
+    }
+    user.password = hashPassword(newPassword);
+    saveUserStore();
+    logger(null, `User "${req.user.username}" changed their password`, "AUTH");
+    res.json({ ok: true });
+});
 
-        // Graceful error handling to prevent backend crash if a playlist still slips through
-        if (!info.formats) {
-            throw new Error("No video stream found. Please ensure the link points to a specific video, not a channel or playlist.");
-        }
+// --- API: API KEYS ---
+// The plaintext key is only returned once, at creation; the store keeps its SHA-256
+const describeKey = ({ id, label, prefix, createdAt, lastUsedAt }) => ({ id, label, prefix, createdAt, lastUsedAt: lastUsedAt || null });
 
-        // Safely map formats (Supports YT, FB, IG, TT, Snap natively now)
-        const formats = info.formats.map(f => {
-            let label = "SD";
-            
-            // Fix: Treat missing codec fields as present unless explicitly flagged as 'none' (fixes Snapchat/IG)
-            const hasVideo = f.vcodec !== 'none';
-            const hasAudio = f.acodec !== 'none';
+app.get('/api/keys', requireAccount, (req, res) => {
+    res.json({ keys: findUser(req.user.username).apiKeys.map(describeKey) });
+});
 
-            // Smart orientation detection for vertical videos (TikTok, Shorts, Reels)
-            const width = f.width || 0;
-            const height = f.height || 0;
-            const isVertical = height > width && width > 0;
-            
-            // Use the shortest edge to accurately determine quality category (HD, FHD, 4K)
-            let shortEdge = height;
-            if (width && height) {
-                shortEdge = Math.min(width, height);
-            } else if (width && !height) {
-                shortEdge = width;
-            }
+app.post('/api/keys', requireAccount, (req, res) => {
+    const body = req.body || {};
+    if (body.label !== undefined && (typeof body.label !== 'string' || !body.label.trim())) {
+        return res.status(400).json({ error: 'label must be a non-empty string' });
+    }
+    const key = `umx_${crypto.randomBytes(24).toString('base64url')}`;
+    const record = { id: uuidv4(), label: (body.label || 'API key').trim().slice(0, 64), prefix: key.slice(0, 8), hash: sha256(key), createdAt: Date.now() };
+    findUser(req.user.username).apiKeys.push(record);
+    saveUserStore();
+    logger(null, `API key "${record.label}" created for "${req.user.username}"`, "AUTH");
+    res.status(201).json({ ...describeKey(record), key });
+});
 
-            if (hasVideo) {
-                if (shortEdge >= 4320) label = "8K";
-                else if (shortEdge >= 2160) label = "4K";
-                else if (shortEdge >= 1440) label = "2K";
-                else if (shortEdge >= 1080) label = "FHD";
-                else if (shortEdge >= 720) label = "HD";
-                else if (shortEdge >= 480) label = "SD";
-                else label = "Low";
-            } else {
-                label = f.ext ? f.ext.toUpperCase() : "RAW";
-            }
+app.delete('/api/keys/:keyId', requireAccount, (req, res) => {
+    const user = findUser(req.user.username);
+    const idx = user.apiKeys.findIndex(k => k.id === req.params.keyId);
+    if (idx === -1) return res.status(404).json({ error: 'API key not found' });
+    user.apiKeys.splice(idx, 1);
+    saveUserStore();
+    res.json({ ok: true });
+});
 
-            // Determine correct display resolution text (e.g., show '1080p' for a 1080x1920 video)
-            let resDisplay = 'Native';
-            if (width && height) {
-                resDisplay = isVertical ? `${width}p` : `${height}p`;
-            } else if (height) {
-                resDisplay = `${height}p`;
-            } else if (width) {
-                resDisplay = `${width}w`;
-            }
+// --- API: USER ADMINISTRATION ---
+const describeUser = (username) => {
+    const user = findUser(username);
+    return { username, role: user.role, quota: user.quota, effectiveQuota: effectiveQuota(username), usage: usageFor(username), apiKeys: user.apiKeys.length, createdAt: user.createdAt };
+};
 
-            return {
-                id: f.format_id,
-                ext: f.ext,
-                height: height || 0, // Kept for backend sorting logic
-                resolution: resDisplay,
-                vcodec: hasVideo ? (f.vcodec || 'unknown') : null,
-                acodec: hasAudio ? (f.acodec || 'unknown') : null,
-                size: f.filesize || f.filesize_approx || 0,
-                abr: f.abr ? `${Math.round(f.abr)}kbps` : null,
-                label: label,
-                codec_info: hasVideo ? (f.vcodec ? f.vcodec.split('.')[0] : 'VID') : (hasAudio ? (f.acodec ? f.acodec.split('.')[0] : 'AUD') : 'RAW')
-            };
-        });
+app.get('/api/users', requireAccount, requireAdmin, (req, res) => {
+    res.json({ users: Object.keys(userStore.users).map(describeUser) });
+});
 
-        res.json({ title: info.title, thumbnail: info.thumbnail, formats });
+app.post('/api/users', requireAccount, requireAdmin, (req, res) => {
+    try {
+        createUser(req.body || {});
     } catch (err) {
-        logger(null, `Analysis failed: ${err.message}`, "ERROR");
-        res.status(500).json({ error: err.message });
+        return res.status(400).json({ error: err.message });
     }
+    logger(null, `User "${req.body.username}" created by "${req.user.username}"`, "AUTH");
+    res.status(201).json(describeUser(req.body.username));
 });
 
-// --- API: THUMBNAIL DOWNLOADER (Server-Side Bypass for CORS + WebP to PNG) ---
-app.get('/api/thumbnail', (req, res) => {
-    const { imgUrl, title } = req.query;
-    if (!imgUrl) return res.status(400).send('No image URL provided');
+app.patch('/api/users/:username', requireAccount, requireAdmin, (req, res) => {
+    const user = findUser(req.params.username);
+    if (!user) return res.status(404).json({ error: 'User not found' });
 
-    // Security check: ensure URL is an actual web resource
+    const { role, password, quota } = req.body || {};
     try {
-        const parsedUrl = new URL(imgUrl);
-        if (!['http:', 'https:'].includes(parsedUrl.protocol)) throw new Error();
-    } catch (e) {
-        return res.status(400).send('Invalid URL format');
+        if (role !== undefined && !['admin', 'user'].includes(role)) throw new Error('Role must be "admin" or "user"');
+        if (role === 'user' && req.params.username === req.user.username) throw new Error('You cannot remove your own admin role');
+        if (password !== undefined) validatePassword(password);
+        const quotaPatch = quota ? normalizeQuota(quota) : {};
+        if (role !== undefined) user.role = role;
+        if (password !== undefined) user.password = hashPassword(password);
+        Object.assign(user.quota, quotaPatch);
+    } catch (err) {
+        return res.status(400).json({ error: err.message });
     }
+    saveUserStore();
+    logger(null, `User "${req.params.username}" updated by "${req.user.username}"`, "AUTH");
+    res.json(describeUser(req.params.username));
+});
 
-    const safeTitle = (title || 'thumbnail').replace(/[^a-z0-9]/gi, '_');
-    
-    // Force browser to treat as a downloadable PNG file
-    res.setHeader('Content-Disposition', `attachment; filename="${safeTitle}_thumb.png"`);
-    res.setHeader('Content-Type', 'image/png');
+app.delete('/api/users/:username', requireAccount, requireAdmin, (req, res) => {
+    if (!findUser(req.params.username)) return res.status(404).json({ error: 'User not found' });
+    if (req.params.username === req.user.username) return res.status(409).json({ error: 'You cannot delete your own account' });
 
-    // Pipe the image through FFmpeg to convert it (e.g. YouTube WebP) into a high-quality PNG on the fly
-    const ffmpegProcess = spawn('ffmpeg', [
-        '-i', imgUrl,
-        '-vframes', '1',
-        '-c:v', 'png',
-        '-f', 'image2pipe',
-        'pipe:1'
-    ]);
+    delete userStore.users[req.params.username];
+    delete userStore.usage[req.params.username];
+    Object.keys(userStore.sessions).forEach(token => {
+        if (userStore.sessions[token].username === req.params.username) delete userStore.sessions[token];
+    });
+    saveUserStore();
+    logger(null, `User "${req.params.username}" deleted by "${req.user.username}"`, "AUTH");
+    res.json({ ok: true });
+});
 
-    ffmpegProcess.stdout.pipe(res);
+// --- API: COOKIE PROFILES ---
+// Uploads are the raw cookies.txt as a text/plain body; metadata travels in the query string:
+//   curl -X POST --data-binary @cookies.txt -H 'Content-Type: text/plain' '/api/cookies?name=Instagram&domains=instagram.com'
+const cookieUpload = express.text({ type: 'text/plain', limit: '2mb' });
 
-    ffmpegProcess.on('error', (err) => {
-        logger(null, `Thumbnail conversion error: ${err.message}`, "ERROR");
-        if (!res.headersSent) res.status(500).send('Failed to process thumbnail');
+// Loads a profile the caller may modify (owner or admin), or answers 404 itself
+const editableProfile = (req, res) => {
+    const profile = cookieProfiles[req.params.profileId];
+    if (!profile || !(req.user.role === 'admin' || profile.owner === req.user.username)) {
+        res.status(404).json({ error: 'Cookie profile not found' });
+        return null;
+    }
+    return profile;
+};
+
+// Only admins may share a profile with other users
+const readProfileUsers = (req, users) => {
+    if (users === undefined) return undefined;
+    if (req.user.role !== 'admin') throw new Error('Only admins can assign cookie profiles to other users');
+    const list = (Array.isArray(users) ? users : String(users).split(',')).map(u => u.trim()).filter(Boolean);
+    const unknown = list.filter(u => u !== '*' && !findUser(u));
+    if (unknown.length) throw new Error(`Unknown user(s): ${unknown.join(', ')}`);
+    return list;
+};
+
+app.get('/api/cookies', (req, res) => {
+    res.json({ profiles: Object.values(cookieProfiles).filter(p => profileVisibleTo(req.user, p)).map(describeCookieProfile) });
+});
+
+app.post('/api/cookies', cookieUpload, (req, res) => {
+    const { name, domains, users } = req.query;
+    let inspection, profile;
+    try {
+        if (!name || String(name).length > 64) throw new Error('A profile name (max 64 chars) is required');
+        inspection = inspectCookieUpload(req.body);
+        profile = {
+            id: uuidv4(),
+            name: String(name),
+            owner: req.user.username,
+            // Without explicit domains the profile covers the sites found in the file itself
+            domains: domains !== undefined ? normalizeDomains(domains) : [...new Set(inspection.summary.map(d => d.domain))],
+            users: readProfileUsers(req, users) || [],
+            uploadedAt: Date.now(),
+            summary: inspection.summary
+        };
+    } catch (err) {
+        return res.status(400).json({ error: err.message });
+    }
+
+    fs.writeFileSync(cookieFilePath(profile.id), req.body);
+    cookieProfiles[profile.id] = profile;
+    saveCookieProfiles();
+    logger(null, `Cookie profile "${profile.name}" uploaded by "${req.user.username}" (${profile.domains.join(', ') || 'all sites'})`, "COOKIES");
+    res.status(201).json({ ...describeCookieProfile(profile), warnings: inspection.warnings });
+});
+
+// Replaces the cookie file (text/plain body) and/or name, domains and users (query string)
+app.put('/api/cookies/:profileId', cookieUpload, (req, res) => {
+    const profile = editableProfile(req, res);
+    if (!profile) return;
+
+    const hasFile = typeof req.body === 'string' && req.body.length > 0;
+    let inspection = { summary: profile.summary, warnings: [] };
+    let users, domains;
+    try {
+        if (hasFile) inspection = inspectCookieUpload(req.body);
+        users = readProfileUsers(req, req.query.users);
+        if (req.query.domains !== undefined) domains = normalizeDomains(req.query.domains);
+        if (req.query.name !== undefined && (!req.query.name || req.query.name.length > 64)) throw new Error('Profile name must be 1-64 chars');
+    } catch (err) {
+        return res.status(400).json({ error: err.message });
+    }
+
+    if (hasFile) {
+        fs.writeFileSync(cookieFilePath(profile.id), req.body);
+        profile.summary = inspection.summary;
+        profile.uploadedAt = Date.now();
+    }
+    if (req.query.name) profile.name = req.query.name;
+    if (domains) profile.domains = domains;
+    if (users) profile.users = users;
+    saveCookieProfiles();
+    logger(null, `Cookie profile "${profile.name}" ${hasFile ? 'replaced' : 'updated'} by "${req.user.username}"`, "COOKIES");
+    res.json({ ...describeCookieProfile(profile), warnings: inspection.warnings });
+});
+
+app.delete('/api/cookies/:profileId', (req, res) => {
+    const profile = editableProfile(req, res);
+    if (!profile) return;
+
+    if (fs.existsSync(cookieFilePath(profile.id))) fs.unlinkSync(cookieFilePath(profile.id));
+    delete cookieProfiles[profile.id];
+    saveCookieProfiles();
+    logger(null, `Cookie profile "${profile.name}" deleted by "${req.user.username}"`, "COOKIES");
+    res.json({ ok: true });
+});
+
+// --- API: DISK ADMINISTRATION ---
+app.get('/api/admin/disk', requireAdmin, (req, res) => {
+    const usage = measureTemp({ fresh: true });
+    const owned = new Set(Object.keys(jobs));
+    res.json({
+        tempDir: TEMP_DIR,
+        usedBytes: usage.bytes,
+        files: usage.files,
+        limitBytes: MAX_TEMP_BYTES || null,
+        minFreeBytes: MIN_FREE_BYTES || null,
+        disk: diskSpace(),
+        jobTtlHours: JOB_TTL / 3600000,
+        library: LIBRARY_ENABLED ? { dir: LIBRARY_DIR, usedBytes: libraryUsage(), limitBytes: LIBRARY_MAX_BYTES || null, items: Object.keys(libraryItems).length } : null,
+        orphanBytes: usage.bytes - Object.entries(usage.byJob).filter(([id]) => owned.has(id)).reduce((sum, [, b]) => sum + b, 0),
+        jobs: Object.entries(usage.byJob).filter(([id]) => owned.has(id))
+            .map(([jobId, bytes]) => ({ jobId, title: jobs[jobId].title, status: jobs[jobId].status, owner: jobs[jobId].owner, bytes, updatedAt: jobs[jobId].updatedAt || jobs[jobId].createdAt }))
+            .sort((a, b) => b.bytes - a.bytes)
     });
 });
 
-// --- API: DOWNLOAD & PROCESS ---
-app.post('/api/download', async (req, res) => {
-    const { url, vId, aId, vLabel, aLabel, title } = req.body;
-    const cleanedUrl = cleanMediaUrl(url); 
-    const jobId = uuidv4();
-    const extension = 'mp4'; 
-    const namingTag = `${vLabel || 'NoVideo'}_${aLabel || 'NoAudio'}`;
+// Runs the janitor immediately instead of waiting for the next interval
+app.post('/api/admin/disk/sweep', requireAdmin, (req, res) => {
+    res.json(runJanitor());
+});
 
-    jobs[jobId] = { status: 'downloading', progress: '0%', file: null, customTag: namingTag, title };
+// --- API: ENCODING ADMINISTRATION ---
+const encodingReport = () => ({
+    settings: encodingSettings,
+    presets: ENCODER_PRESETS,
+    ffmpeg: ffmpegAvailable,
+    codecs: Object.fromEntries(Object.entries(VIDEO_ENCODERS).map(([codec, { hardware, software }]) => [codec, {
+        active: ffmpegAvailable ? activeEncoder(codec) : null,
+        candidates: [...hardware, ...software].filter(name => encoderTests[name])
+            .map(name => ({ name, ...encoderTests[name], demoted: demotedEncoders.has(name) }))
+    }]))
+});
 
-    logger(jobId, `Download initiated for "${title}"`, "START");
+app.get('/api/admin/encoding', requireAdmin, (req, res) => {
+    res.json(encodingReport());
+});
 
-    const ytdlp = new YtDlp();
-    let formatSelection = (vId && aId) ? `${vId}+${aId}` : (vId || aId);
+// Partial updates: { preset: 'medium', crf: { h264: 21 }, encoders: { hevc: 'software' } }
+app.put('/api/admin/encoding', requireAdmin, (req, res) => {
+    try {
+        encodingSettings = validateEncodingSettings(req.body || {}, encodingSettings);
+    } catch (err) {
+        return res.status(400).json({ error: err.message });
+    }
+    saveEncodingSettings();
+    logger(null, `Encoding settings updated by "${req.user.username}"`, "CODEC");
+    res.json(encodingReport());
+});
 
-    // TASK 1: Re-encode to MP4 and download the thumbnail safely (No embedding yet)
-    let ffmpegArgs = [
-        '--merge-output-format', extension,
-        '--recode-video', extension,
-        '--postprocessor-args', `VideoConvertor:-c:V ${selectedEncoder} -preset fast -c:a aac -b:a 192k`,
-        '--postprocessor-args', `Merger:-c:V ${selectedEncoder} -preset fast -c:a aac -b:a 192k`,
-        '--add-metadata',
-        '--write-thumbnail',    // Forces yt-dlp to save the thumbnail alongside the video
-        '--convert-thumbnails', 'jpg' // Guarantees the thumbnail is cleanly converted to JPG
-    ];
+// Re-runs the test encodes, e.g. after a driver update; also re-enables demoted encoders
+app.post('/api/admin/encoding/test', requireAdmin, (req, res) => {
+    detectHardware();
+    res.json(encodingReport());
+});
 
-    ytdlp.download(cleanedUrl)
-        .cookies(COOKIES)
-        .format(formatSelection)
-        .output(TEMP_DIR)
-        .on('progress', (p) => {
-            if (jobs[jobId]) {
-                jobs[jobId].progress = p.percentage_str || '0%';
-                const pInt = parseInt(p.percentage_str);
-                if (pInt % 25 === 0) logger(jobId, `Progress: ${p.percentage_str}`, "PROGRESS");
-            }
-        })
-        .run(ffmpegArgs)
-        .then((result) => {
-            if (result.filePaths && result.filePaths.length > 0) {
-                const finalFile = result.filePaths.find(p => p.endsWith(`.${extension}`)) || result.filePaths[0];
-                const baseName = finalFile.substring(0, finalFile.lastIndexOf('.'));
-                
-                // Locate the safely extracted JPG thumbnail 
-                const possibleThumbs = [baseName + '.jpg', baseName + '.webp', baseName + '.png'];
-                const thumbFile = possibleThumbs.find(f => fs.existsSync(f));
+// --- API: HISTORY ---
+// Your own entries by default; admins can pass ?user=<name> or ?user=* for everyone's
+const parseTime = (value) => {
+    if (value === undefined) return null;
+    const time = /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+    return Number.isNaN(time) ? null : time;
+};
 
-                // TASK 2: Use an isolated FFmpeg operation to natively embed the thumbnail
-                if (thumbFile && fs.existsSync(finalFile)) {
-                    try {
-                        logger(jobId, `Task 2: Injecting high-res thumbnail into MP4...`, "THUMB");
-                        const embeddedFile = baseName + '_with_thumb.' + extension;
-                        
-                        // -c copy ensures we don't re-encode the video again, we just inject the picture
-                        spawnSync('ffmpeg', [
-                            '-y',
-                            '-i', finalFile,
-                            '-i', thumbFile,
-                            '-map', '0',
-                            '-map', '1',
-                            '-c', 'copy',
-                            '-c:v:1', 'mjpeg',
-                            '-disposition:v:1', 'attached_pic',
-                            embeddedFile
-                        ]);
+app.get('/api/history', (req, res) => {
+    const { kind, status, platform } = req.query;
+    const q = String(req.query.q || '').trim().toLowerCase();
+    const from = parseTime(req.query.from);
+    const to = parseTime(req.query.to);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
 
-                        // Replace the original with our newly embedded version
-                        if (fs.existsSync(embeddedFile)) {
-                            fs.unlinkSync(finalFile);
-                            fs.unlinkSync(thumbFile);
-                            fs.renameSync(embeddedFile, finalFile);
-                        }
-                    } catch (err) {
-                        logger(jobId, `Thumbnail injection failed, proceeding with original. Error: ${err.message}`, "WARN");
-                    }
-                }
+    let user = req.user.username;
+    if (req.query.user && req.query.user !== user) {
+        if (req.user.role !== 'admin') return res.status(403).json({ error: 'Only admins can view other users\' history' });
+        user = req.query.user;
+    }
+
+    const matches = history.filter(h => (user === '*' || h.user === user)
+        && (!kind || h.kind === kind)
+        && (!status || h.status === status)
+        && (!platform || h.platform === platform)
+        && (from === null || h.createdAt >= from)
+        && (to === null || h.createdAt <= to)
+        && (!q || (h.title || '').toLowerCase().includes(q) || (h.url || '').toLowerCase().includes(q)));
+    res.json({ total: matches.length, offset, limit, items: matches.slice(offset, offset + limit) });
+});
+
+app.delete('/api/history/:entryId', (req, res) => {
+    const entry = historyById.get(req.params.entryId);
+    if (!entry || !(req.user.role === 'admin' || entry.user === req.user.username)) return res.status(404).json({ error: 'History entry not found' });
+    removeHistory(entry);
+    saveHistory(true);
+    res.json({ ok: true });
+});
+
+// Clears the caller's own history, optionally one kind only (?kind=analysis)
+app.delete('/api/history', (req, res) => {
+    const doomed = history.filter(h => h.user === req.user.username && (!req.query.kind || h.kind === req.query.kind));
+    doomed.forEach(removeHistory);
+    saveHistory(true);
+    res.json({ removed: doomed.length });
+});
+
+// --- API: MEDIA LIBRARY ---
+// Shared by the whole team; only the person who added an item (or an admin) may delete it
+const describeLibraryItem = (item, user) => ({
+    id: item.id, title: item.title, thumbnail: item.thumbnail, url: item.url, platform: item.platform, profile: item.profile,
+    container: path.extname(item.file).slice(1), size: item.size, addedBy: item.addedBy, createdAt: item.createdAt,
+    lastAccessedAt: item.lastAccessedAt, hits: item.hits, canDelete: user.role === 'admin' || item.addedBy === user.username
+});
+
+app.get('/api/library', (req, res) => {
+    if (!LIBRARY_ENABLED) return res.json({ enabled: false, total: 0, items: [] });
+    const q = String(req.query.q || '').trim().toLowerCase();
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+
+    const matches = Object.values(libraryItems)
+        .filter(item => !q || item.title.toLowerCase().includes(q) || item.url.toLowerCase().includes(q) || item.platform === q)
+        .sort((a, b) => b.lastAccessedAt - a.lastAccessedAt);
+    res.json({
+        enabled: true, total: matches.length, usedBytes: libraryUsage(), limitBytes: LIBRARY_MAX_BYTES || null,
+        items: matches.slice(offset, offset + limit).map(item => describeLibraryItem(item, req.user))
+    });
+});
 
-                if (jobs[jobId]) {
-                    jobs[jobId].status = 'completed';
-                    jobs[jobId].file = path.basename(finalFile);
-                    logger(jobId, `Processing Finished. Output: ${jobs[jobId].file}`, "SUCCESS");
-                }
-            }
-        })
-        .catch((err) => {
-            if (jobs[jobId]) jobs[jobId].status = 'error';
-            logger(jobId, `Download/Merge error: ${err.message}`, "ERROR");
-        });
+// Direct re-download, counted against the caller's quota like any other download
+app.get('/api/library/:itemId/file/:title', (req, res) => {
+    const item = libraryItems[req.params.itemId];
+    if (!item || !fs.existsSync(libraryFilePath(item))) return res.status(404).send('Library item not found');
+    const overQuota = quotaError(req.user, 1);
+    if (overQuota) return res.status(429).send(overQuota);
 
-    res.json({ jobId });
+    item.hits++;
+    item.lastAccessedAt = Date.now();
+    saveLibrary();
+    recordUsage(req.user.username, { downloads: 1, bytes: item.size });
+
+    const safeTitle = req.params.title.replace(/[^a-z0-9]/gi, '_');
+    logger(null, `Library re-download of "${item.title}" by "${req.user.username}"`, "LIBRARY");
+    res.download(libraryFilePath(item), `${safeTitle}_${item.customTag}${path.extname(item.file)}`, (err) => {
+        if (!err) countMetric(metrics.delivered, { platform: platformLabel(item.url), source: 'library' }, item.size);
+    });
 });
 
-// --- API: STATUS ---
-app.get('/api/status/:jobId', (req, res) => {
-    res.json(jobs[req.params.jobId] || {});
+app.delete('/api/library/:itemId', (req, res) => {
+    const item = libraryItems[req.params.itemId];
+    if (!item) return res.status(404).json({ error: 'Library item not found' });
+    if (!describeLibraryItem(item, req.user).canDelete) return res.status(403).json({ error: 'Only the user who added this item or an admin can delete it' });
+
+    removeLibraryItem(item);
+    saveLibrary();
+    logger(null, `Library item "${item.title}" deleted by "${req.user.username}"`, "LIBRARY");
+    res.json({ ok: true });
 });
 
 // --- API: DELIVERY & CLEANUP ---
+// Deliver with the real container extension (audio-only profiles are not MP4)
+const deliveryName = (job, title) => `${title.replace(/[^a-z0-9]/gi, '_')}_${job.customTag}${path.extname(job.file)}`;
+
+// Called once the output has been handed over, by /api/file or the CLI's local mode
+const releaseJob = (jobId) => {
+    const job = jobs[jobId];
+    const filePath = jobOutputPath(job);
+    try {
+        // Retained outputs stay in the library; only the temp copy is single-use
+        if (!job.libraryId && fs.existsSync(filePath)) {
+            fs.unlinkSync(filePath);
+            logger(jobId, `CLEANUP: Deleted temporary file ${job.file}`, "DELETE");
+        }
+        (job.subtitleFiles || []).forEach(t => {
+            const subPath = path.join(TEMP_DIR, t.file);
+            if (fs.existsSync(subPath)) fs.unlinkSync(subPath);
+        });
+        delete jobs[jobId];
+        saveJobStore(true);
+        logger(jobId, `Session closed. Memory purged.`, "PURGE");
+    } catch (e) {
+        logger(jobId, `Cleanup failed: ${e.message}`, "ERROR");
+    }
+};
+
 app.get('/api/file/:jobId/:title', (req, res) => {
     const job = jobs[req.params.jobId];
     if (!job || job.status !== 'completed') return res.status(400).send('File not ready');
 
-    const filePath = path.join(TEMP_DIR, job.file);
-    const safeTitle = req.params.title.replace(/[^a-z0-9]/gi, '_');
-    
-    // Strictly force the .mp4 extension for maximum compatibility delivery
-    const finalName = `${safeTitle}_${job.customTag}.mp4`;
+    const filePath = jobOutputPath(job);
+    if (!fs.existsSync(filePath)) return res.status(410).send('File is no longer available');
+    const finalName = deliveryName(job, req.params.title);
 
     logger(req.params.jobId, `Transmitting file to client: ${finalName}`, "SEND");
 
     res.download(filePath, finalName, (err) => {
         if (err) {
             logger(req.params.jobId, `Transmission interrupted: ${err.message}`, "WARN");
+        } else {
+            countMetric(metrics.delivered, { platform: platformLabel(job.url), source: 'job' }, job.fileSize || 0);
         }
-
-        try {
-            if (fs.existsSync(filePath)) {
-                fs.unlinkSync(filePath);
-                logger(req.params.jobId, `CLEANUP: Deleted temporary file ${job.file}`, "DELETE");
-            }
-            delete jobs[req.params.jobId];
-            logger(req.params.jobId, `Session closed. Memory purged.`, "PURGE");
-        } catch (e) {
-            logger(req.params.jobId, `Cleanup failed: ${e.message}`, "ERROR");
-        }
+        releaseJob(req.params.jobId);
     });
 });
 
 // --- SERVE THE UI ---
+// --- LOGIN PAGE ---
+app.get('/login', (req, res) => {
+    if (req.user) return res.redirect('/');
+    res.send(`
+    <!DOCTYPE html>
+    <html lang="en">
+    <head>
+        <meta charset="UTF-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>Sign In • Universal Media Extractor</title>
+        <link rel="icon" href="/favicon.ico" type="image/x-icon">
+        <link href="https://fonts.googleapis.com/css2?family=Pacifico&display=swap" rel="stylesheet">
+        <script src="https://cdn.tailwindcss.com"></script>
+        <script>
+            tailwind.config = { darkMode: 'class', theme: { extend: { colors: { brand: '#6366f1' } } } };
+            const isDark = localStorage.theme === 'dark' || (!('theme' in localStorage) && window.matchMedia('(prefers-color-scheme: dark)').matches);
+            document.documentElement.classList.toggle('dark', isDark);
+        </script>
+    </head>
+    <body class="bg-slate-50 dark:bg-slate-950 min-h-screen flex items-center justify-center p-4 font-sans text-slate-900 dark:text-slate-100">
+        <form onsubmit="login(event)" class="w-full max-w-sm bg-white dark:bg-slate-900 shadow-2xl rounded-3xl p-8 border border-slate-200 dark:border-slate-800">
+            <div class="flex items-center gap-3 mb-8">
+                <img src="/favicon.ico" class="w-10 h-10 rounded-lg shadow-md" alt="Logo" onerror="this.style.display='none'">
+                <h1 class="text-2xl text-brand" style="font-family: 'Pacifico', cursive;">Universal Media Extractor</h1>
+            </div>
+            <input id="username" autocomplete="username" placeholder="Username" required class="w-full mb-3 px-4 py-3 rounded-xl bg-slate-100 dark:bg-slate-800 outline-none focus:ring-4 focus:ring-brand/30 transition">
+            <input id="password" type="password" autocomplete="current-password" placeholder="Password" required class="w-full mb-4 px-4 py-3 rounded-xl bg-slate-100 dark:bg-slate-800 outline-none focus:ring-4 focus:ring-brand/30 transition">
+            <p id="error" class="hidden mb-4 text-xs font-bold text-red-500"></p>
+            <button class="w-full bg-brand text-white py-3 rounded-xl font-black hover:scale-105 active:scale-95 transition shadow-lg">SIGN IN</button>
+        </form>
+        <script>
+            async function login(e) {
+                e.preventDefault();
+                const res = await fetch('/api/login', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ username: document.getElementById('username').value, password: document.getElementById('password').value })
+                });
+                const data = await res.json();
+                if (!res.ok) {
+                    const error = document.getElementById('error');
+                    error.innerText = data.error || 'Login failed';
+                    return error.classList.remove('hidden');
+                }
+                window.location.href = '/' + window.location.search;
+            }
+        </script>
+    </body>
+    </html>
+    `);
+});
+
 app.get('/', (req, res) => {
+    if (!req.user) return res.redirect('/login' + (req.url.includes('?') ? req.url.slice(req.url.indexOf('?')) : ''));
+
+    // Output format <option>s are rendered from OUTPUT_PROFILES so the UI never drifts from the server's list
+    const profileOptions = (audioOnly) => Object.entries(OUTPUT_PROFILES)
+        .filter(([, p]) => Boolean(p.audioOnly) === audioOnly)
+        .map(([id, p]) => `<option value="${id}">${p.label}</option>`).join('');
+    const profileSelect = (id) => `
+        <select id="${id}" onchange="updateEstimatedSize()" class="text-[10px] md:text-xs font-black uppercase tracking-widest bg-slate-200 dark:bg-slate-800 px-3 py-2 rounded-xl outline-none">
+            <optgroup label="Video">${profileOptions(false)}</optgroup>
+            <optgroup label="Audio Only">${profileOptions(true)}</optgroup>
+        </select>`;
+
     res.send(`
     <!DOCTYPE html>
     <html lang="en" class="scroll-smooth">
@@ -395,9 +4014,19 @@ app.get('/', (req, res) => {
                     <p class="text-[9px] md:text-[10px] font-bold text-slate-500 uppercase tracking-widest mt-0.5 md:mt-1">Multi-Platform Supported</p>
                 </div>
             </div>
-            <button onclick="toggleTheme()" class="p-2 md:p-2 rounded-xl bg-slate-200 dark:bg-slate-800 hover:scale-110 transition">
-                <span id="theme-icon" class="text-lg md:text-xl">☀</span>
-            </button>
+            <div class="flex items-center gap-2">
+                ${AUTH_ENABLED ? `
+                <div class="text-right hidden sm:block">
+                    <p class="text-xs font-black text-slate-700 dark:text-slate-200">${req.user.username}${req.user.role === 'admin' ? ' <span class="text-[9px] px-1.5 py-0.5 rounded bg-brand text-white uppercase">admin</span>' : ''}</p>
+                    <p id="quota-text" class="text-[9px] md:text-[10px] font-bold text-slate-500 uppercase tracking-widest"></p>
+                </div>
+                <button onclick="logout()" class="px-3 py-2 rounded-xl bg-slate-200 dark:bg-slate-800 text-[10px] md:text-xs font-black uppercase tracking-widest hover:text-brand transition" title="Sign out">Logout</button>` : ''}
+                <button onclick="toggleServerPanel()" class="relative px-3 py-2 rounded-xl bg-slate-200 dark:bg-slate-800 text-[10px] md:text-xs font-black uppercase tracking-widest hover:text-brand transition" title="Server health and settings">Server<span id="diagnostics-dot" class="hidden absolute -top-1 -right-1 w-2.5 h-2.5 rounded-full"></span></button>
+                ${LIBRARY_ENABLED ? `<button onclick="toggleLibrary()" class="px-3 py-2 rounded-xl bg-slate-200 dark:bg-slate-800 text-[10px] md:text-xs font-black uppercase tracking-widest hover:text-brand transition" title="Previously downloaded files">Library</button>` : ''}
+                <button onclick="toggleTheme()" class="p-2 md:p-2 rounded-xl bg-slate-200 dark:bg-slate-800 hover:scale-110 transition">
+                    <span id="theme-icon" class="text-lg md:text-xl">☀</span>
+                </button>
+            </div>
         </div>
 
         <div class="max-w-5xl mx-auto bg-white dark:bg-slate-900 shadow-2xl rounded-3xl md:rounded-[2.5rem] overflow-hidden border border-slate-200 dark:border-slate-800 relative z-10">
@@ -425,6 +4054,12 @@ app.get('/', (req, res) => {
                     <span class="px-2 py-1 md:px-3 md:py-1.5 rounded-lg bg-white/10 border border-white/20">Facebook Reels/Posts</span>
                     <span class="px-2 py-1 md:px-3 md:py-1.5 rounded-lg bg-white/10 border border-white/20">Snapchat Spotlight</span>                    
                 </div>
+
+                <!-- PLAYLIST MODE TOGGLE -->
+                <label class="mt-4 inline-flex items-center gap-2 cursor-pointer text-[10px] md:text-xs font-black uppercase tracking-widest text-white/80 hover:text-white transition">
+                    <input type="checkbox" id="playlist-toggle" class="w-3.5 h-3.5 accent-white">
+                    Playlist / Channel Mode
+                </label>
             </div>
 
             <!-- SKELETON LOADER -->
@@ -453,6 +4088,8 @@ app.get('/', (req, res) => {
                     </div>
                     <div class="text-center lg:text-left flex-1 relative w-full">
                         <h2 id="title" class="text-lg md:text-2xl font-black mb-2 md:mb-3 leading-tight px-1"></h2>
+                        <span id="cookie-chip" class="hidden inline-block px-2.5 py-1 rounded-lg bg-slate-200 dark:bg-slate-800 text-[10px] md:text-xs font-black uppercase tracking-widest text-slate-500"></span>
+                        <span data-cache-chip class="hidden"></span>
                     </div>
                 </div>
 
@@ -480,10 +4117,81 @@ app.get('/', (req, res) => {
                 </div>
 
                 <div class="mt-6 md:mt-12 p-6 md:p-10 bg-slate-50 dark:bg-slate-950/80 rounded-2xl md:rounded-[2.5rem] flex flex-col items-center border border-slate-200 dark:border-slate-800">
+
+                    <!-- CLIP RANGE SELECTOR -->
+                    <div id="clip-box" class="w-full max-w-xl mb-4 md:mb-6">
+                        <div class="flex items-center justify-between mb-2 text-[10px] md:text-xs font-black uppercase tracking-widest text-slate-500">
+                            <span>Clip Ranges: <span id="clip-total" class="text-brand ml-1">Full Video</span></span>
+                            <button onclick="addClip()" class="px-3 py-1.5 rounded-lg bg-slate-200 dark:bg-slate-800 hover:text-brand transition">+ Add Range</button>
+                        </div>
+                        <div id="clip-list" class="space-y-2"></div>
+                    </div>
+
+                    <!-- CHAPTERS -->
+                    <div id="chapter-box" class="hidden w-full max-w-xl mb-4 md:mb-6">
+                        <div class="flex items-center justify-between gap-2 mb-2 text-[10px] md:text-xs font-black uppercase tracking-widest text-slate-500">
+                            <span>Chapters: <span id="chapter-count" class="text-brand ml-1">0</span></span>
+                            <select id="chapter-mode" class="bg-slate-200 dark:bg-slate-800 px-3 py-1.5 rounded-lg outline-none">
+                                <option value="embed">Embed Markers</option>
+                                <option value="split">Split Into ZIP</option>
+                                <option value="none">Strip Chapters</option>
+                            </select>
+                        </div>
+                        <details>
+                            <summary class="cursor-pointer text-[10px] md:text-xs font-black uppercase tracking-widest text-slate-400 hover:text-brand transition">Show Chapter List</summary>
+                            <div id="chapter-list" class="space-y-1 mt-2 max-h-48 overflow-y-auto custom-scroll pr-2"></div>
+                        </details>
+                    </div>
+
+                    <!-- SUBTITLE PICKER -->
+                    <div id="sub-box" class="hidden w-full max-w-xl mb-4 md:mb-6">
+                        <div class="flex flex-wrap items-center justify-between gap-2 mb-2 text-[10px] md:text-xs font-black uppercase tracking-widest text-slate-500">
+                            <span>Subtitles</span>
+                            <div class="flex gap-2">
+                                <select id="sub-mode" onchange="document.getElementById('sub-format').classList.toggle('hidden', this.value !== 'file')" class="bg-slate-200 dark:bg-slate-800 px-3 py-1.5 rounded-lg outline-none">
+                                    <option value="embed">Embed (Soft Subs)</option>
+                                    <option value="burn">Burn In</option>
+                                    <option value="file">Separate File</option>
+                                </select>
+                                <select id="sub-format" class="hidden bg-slate-200 dark:bg-slate-800 px-3 py-1.5 rounded-lg outline-none">
+                                    <option value="srt">SRT</option>
+                                    <option value="vtt">VTT</option>
+                                    <option value="ass">ASS</option>
+                                </select>
+                            </div>
+                        </div>
+                        <div id="sub-manual" class="flex flex-wrap gap-2"></div>
+                        <details id="sub-auto-box" class="mt-2">
+                            <summary class="cursor-pointer text-[10px] md:text-xs font-black uppercase tracking-widest text-slate-400 hover:text-brand transition">Auto-Generated (<span id="sub-auto-count">0</span>)</summary>
+                            <div id="sub-auto" class="flex flex-wrap gap-2 mt-2 max-h-40 overflow-y-auto custom-scroll"></div>
+                        </details>
+                    </div>
                     
-                    <!-- SIZE ESTIMATOR UI -->
-                    <div id="size-estimator" class="text-[10px] md:text-xs font-black uppercase tracking-widest text-slate-500 mb-4 md:mb-6 bg-slate-200 dark:bg-slate-800 px-4 md:px-6 py-1.5 md:py-2 rounded-xl transition-all shadow-inner text-center w-full md:w-auto">
-                        Estimated Size: <span id="size-val" class="text-brand text-sm ml-1 block sm:inline mt-1 sm:mt-0">-- MB</span>
+                    <!-- SIZE ESTIMATOR UI + OUTPUT FORMAT -->
+                    <div class="flex flex-col sm:flex-row items-center gap-2 md:gap-3 mb-4 md:mb-6 w-full md:w-auto">
+                        <div id="size-estimator" class="text-[10px] md:text-xs font-black uppercase tracking-widest text-slate-500 bg-slate-200 dark:bg-slate-800 px-4 md:px-6 py-1.5 md:py-2 rounded-xl transition-all shadow-inner text-center w-full md:w-auto">
+                            Estimated Size: <span id="size-val" class="text-brand text-sm ml-1 block sm:inline mt-1 sm:mt-0">-- MB</span>
+                        </div>
+                        ${profileSelect('out-profile')}
+                    </div>
+
+                    <!-- ADVANCED OUTPUT OVERRIDES (shown with "Show All Codecs") -->
+                    <div id="out-advanced" class="hidden flex flex-wrap justify-center gap-2 mb-4 md:mb-6 text-[10px] md:text-xs font-black uppercase tracking-widest">
+                        <select id="out-vcodec" class="bg-slate-200 dark:bg-slate-800 px-3 py-2 rounded-xl outline-none">
+                            <option value="auto">Video: Auto</option>
+                            ${Object.keys(VIDEO_ENCODERS).map(c => `<option value="${c}">Video: ${c.toUpperCase()}</option>`).join('')}
+                        </select>
+                        <select id="out-abitrate" class="bg-slate-200 dark:bg-slate-800 px-3 py-2 rounded-xl outline-none">
+                            <option value="">Audio: Profile Default</option>
+                            ${AUDIO_BITRATES.map(b => `<option value="${b}">Audio: ${b}bps</option>`).join('')}
+                        </select>
+                        ${encodingSettings.allowRequestOverrides ? `
+                        <select id="out-preset" class="bg-slate-200 dark:bg-slate-800 px-3 py-2 rounded-xl outline-none" title="Encoder speed; slower gives smaller files at the same quality">
+                            <option value="">Speed: Default</option>
+                            ${ENCODER_PRESETS.map(p => `<option value="${p}">Speed: ${p}</option>`).join('')}
+                        </select>
+                        <input id="out-crf" type="number" min="0" max="63" placeholder="CRF" title="Constant quality, lower is better (H.264 default 23)" class="w-20 bg-slate-200 dark:bg-slate-800 px-3 py-2 rounded-xl outline-none">
+                        <input id="out-vbitrate" placeholder="Bitrate (4M)" title="Target video bitrate, replaces CRF" class="w-28 bg-slate-200 dark:bg-slate-800 px-3 py-2 rounded-xl outline-none">` : ''}
                     </div>
 
                     <button onclick="download()" class="w-full sm:w-auto bg-brand text-white px-8 md:px-16 py-4 md:py-5 rounded-xl md:rounded-2xl font-black text-base md:text-xl shadow-2xl hover:scale-105 active:scale-95 transition tracking-tighter">
@@ -498,17 +4206,106 @@ app.get('/', (req, res) => {
                         <div class="w-full bg-slate-200 dark:bg-slate-800 h-3 md:h-4 rounded-full p-0.5 md:p-1 border border-slate-300 dark:border-slate-700">
                             <div id="p-bar" class="bg-brand h-full rounded-full transition-all duration-500" style="width:0%"></div>
                         </div>
+                        <p id="p-detail" class="mt-2 text-center text-[9px] md:text-[10px] font-bold text-slate-500 uppercase tracking-widest min-h-[1em]"></p>
+                        <div class="flex justify-center gap-2 mt-3 text-[9px] md:text-[10px] font-black uppercase tracking-widest">
+                            <button id="p-bump" onclick="bumpJob()" class="hidden px-3 py-1.5 rounded-lg bg-slate-200 dark:bg-slate-800 text-slate-500 hover:text-brand transition">Jump Queue</button>
+                            <button id="p-pause" onclick="togglePauseJob()" class="hidden px-3 py-1.5 rounded-lg bg-slate-200 dark:bg-slate-800 text-slate-500 hover:text-brand transition">Pause</button>
+                            <button id="p-retry" onclick="retryJob()" class="hidden px-3 py-1.5 rounded-lg bg-brand text-white hover:scale-105 transition">Retry</button>
+                            <button id="p-cancel" onclick="cancelJob()" class="hidden px-3 py-1.5 rounded-lg bg-slate-200 dark:bg-slate-800 text-slate-500 hover:text-red-500 transition">Cancel</button>
+                            <a id="p-log" target="_blank" class="hidden px-3 py-1.5 rounded-lg bg-slate-200 dark:bg-slate-800 text-slate-500 hover:text-brand transition">View Log</a>
+                        </div>
+                    </div>
+                </div>
+            </div>
+
+            <!-- PLAYLIST RESULT -->
+            <div id="playlist-result" class="hidden p-4 md:p-8 animate-in fade-in slide-in-from-bottom-4 duration-500">
+                <div class="flex flex-col lg:flex-row gap-4 md:gap-8 mb-6 items-center lg:items-start">
+                    <img id="pl-thumb" class="w-full lg:w-72 rounded-2xl md:rounded-3xl shadow-xl border-2 md:border-4 border-slate-100 dark:border-slate-800" src="">
+                    <div class="text-center lg:text-left flex-1 w-full">
+                        <h2 id="pl-title" class="text-lg md:text-2xl font-black mb-2 leading-tight px-1"></h2>
+                        <p id="pl-meta" class="text-[10px] md:text-xs font-black uppercase tracking-widest text-slate-500 px-1"></p>
+                        <span data-cache-chip class="hidden mt-2"></span>
+                    </div>
+                </div>
+
+                <div class="flex flex-col sm:flex-row justify-between items-center gap-3 mb-3 md:mb-4 px-1 md:px-2">
+                    <label class="flex items-center gap-2 cursor-pointer text-[10px] md:text-xs font-black uppercase tracking-widest text-slate-500 dark:text-slate-400 hover:text-brand transition">
+                        <input type="checkbox" id="pl-select-all" class="w-4 h-4 accent-brand" checked onchange="toggleAllEntries(this.checked)">
+                        Select All
+                    </label>
+                    <select id="pl-quality" class="text-[10px] md:text-xs font-black uppercase tracking-widest bg-slate-200 dark:bg-slate-800 px-3 py-2 rounded-xl outline-none">
+                        <option value="best">Best Quality</option>
+                        <option value="1080p">Up to 1080p</option>
+                        <option value="720p">Up to 720p</option>
+                        <option value="480p">Up to 480p</option>
+                        <option value="audio">Audio Only</option>
+                    </select>
+                    ${profileSelect('pl-profile')}
+                </div>
+
+                <div id="pl-list" class="space-y-2.5 md:space-y-3 max-h-[500px] overflow-y-auto custom-scroll pr-2 md:pr-3"></div>
+
+                <div class="mt-6 md:mt-10 p-6 md:p-10 bg-slate-50 dark:bg-slate-950/80 rounded-2xl md:rounded-[2.5rem] flex flex-col items-center border border-slate-200 dark:border-slate-800">
+                    <button onclick="downloadBatch()" class="w-full sm:w-auto bg-brand text-white px-8 md:px-16 py-4 md:py-5 rounded-xl md:rounded-2xl font-black text-base md:text-xl shadow-2xl hover:scale-105 active:scale-95 transition tracking-tighter">
+                        DOWNLOAD SELECTED
+                    </button>
+
+                    <div id="batch-box" class="w-full max-w-md mt-6 md:mt-10 hidden">
+                        <div class="flex justify-between text-[9px] md:text-[10px] font-black text-brand mb-2 md:mb-3 uppercase tracking-tighter">
+                            <span id="b-status">Processing...</span>
+                            <span id="b-val">0%</span>
+                        </div>
+                        <div class="w-full bg-slate-200 dark:bg-slate-800 h-3 md:h-4 rounded-full p-0.5 md:p-1 border border-slate-300 dark:border-slate-700">
+                            <div id="b-bar" class="bg-brand h-full rounded-full transition-all duration-500" style="width:0%"></div>
+                        </div>
                     </div>
                 </div>
             </div>
         </div>
 
+        <!-- SERVER DIAGNOSTICS & SETTINGS -->
+        <div id="server-wrapper" class="hidden max-w-5xl mx-auto mt-6 md:mt-8 px-2 md:px-4 relative z-0">
+            <div class="flex items-center justify-between gap-3 mb-3 md:mb-4 px-2">
+                <h3 class="text-[10px] md:text-xs font-black uppercase tracking-widest text-slate-500">Diagnostics <span id="diagnostics-versions" class="ml-1 normal-case tracking-normal font-bold text-brand"></span></h3>
+                <button onclick="loadDiagnostics(true)" class="text-[10px] md:text-xs font-black uppercase tracking-widest bg-slate-200 dark:bg-slate-800 px-3 py-2 rounded-xl hover:text-brand transition">Re-check</button>
+            </div>
+            <div id="diagnostics-list" class="grid grid-cols-1 sm:grid-cols-2 gap-2 md:gap-3 mb-6"></div>
+            <div class="flex flex-col sm:flex-row sm:items-center justify-between gap-3 mb-3 md:mb-4 px-2">
+                <h3 class="text-[10px] md:text-xs font-black uppercase tracking-widest text-slate-500">Server Settings <span id="config-file" class="ml-1 normal-case tracking-normal font-bold text-brand"></span></h3>
+            </div>
+            <div class="bg-white dark:bg-slate-900 rounded-xl md:rounded-2xl shadow-sm border border-slate-200 dark:border-slate-800 overflow-x-auto">
+                <table class="w-full text-left text-[10px] md:text-xs">
+                    <tbody id="config-list" class="divide-y divide-slate-100 dark:divide-slate-800"></tbody>
+                </table>
+            </div>
+        </div>
+
+        <!-- MEDIA LIBRARY -->
+        <div id="library-wrapper" class="hidden max-w-5xl mx-auto mt-6 md:mt-8 px-2 md:px-4 relative z-0">
+            <div class="flex flex-col sm:flex-row sm:items-center justify-between gap-3 mb-3 md:mb-4 px-2">
+                <h3 class="text-[10px] md:text-xs font-black uppercase tracking-widest text-slate-500">Library <span id="library-usage" class="ml-1 text-brand"></span></h3>
+                <input type="text" id="library-search" placeholder="Search title or link..." oninput="searchLibrary()" class="w-full sm:w-64 px-3 py-2 rounded-xl bg-white dark:bg-slate-900 border border-slate-200 dark:border-slate-800 text-xs outline-none focus:border-brand transition">
+            </div>
+            <div id="library-list" class="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-3 md:gap-4"></div>
+        </div>
+
         <!-- RECENT SEARCH HISTORY -->
         <div id="recent-wrapper" class="hidden max-w-5xl mx-auto mt-6 md:mt-8 px-2 md:px-4 relative z-0">
-            <h3 class="text-[10px] md:text-xs font-black uppercase tracking-widest text-slate-500 mb-3 md:mb-4 px-2">Recent Searches</h3>
+            <div class="flex items-center justify-between gap-3 mb-3 md:mb-4 px-2">
+                <h3 class="text-[10px] md:text-xs font-black uppercase tracking-widest text-slate-500">Recent Activity</h3>
+                <select id="recent-kind" onchange="loadRecent()" class="text-[10px] md:text-xs font-black uppercase tracking-widest bg-slate-200 dark:bg-slate-800 px-3 py-2 rounded-xl outline-none">
+                    <option value="">All</option>
+                    <option value="analysis">Searches</option>
+                    <option value="download">Downloads</option>
+                </select>
+            </div>
             <div id="recent-list" class="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-3 md:gap-4">
                 <!-- Dynamically Populated -->
             </div>
+            <div class="text-center mt-3">
+                <button id="recent-more" onclick="loadRecent(true)" class="hidden px-4 py-2 rounded-xl bg-slate-200 dark:bg-slate-800 text-[10px] md:text-xs font-black uppercase tracking-widest hover:text-brand transition">Show More</button>
+            </div>
         </div>
 
         <!-- FOOTER -->
@@ -532,9 +4329,21 @@ app.get('/', (req, res) => {
 
         <script>
             let currentMetadata = { title: "", formats: [] };
+            let currentPlaylist = null;
+            let currentJobId = null;
+            let jobStream = null;
             let advancedMode = false;
+            let clips = []; // Selected time ranges in seconds; end null means "until the end"
             
             const bytes = b => b ? (b / 1024 / 1024).toFixed(1) + ' MB' : 'Unknown Size';
+            // Titles and names come from remote sites and other users, so they never reach innerHTML raw
+            const escapeHtml = v => String(v ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+            const duration = s => {
+                if (!s) return '--:--';
+                s = Math.round(s);
+                const h = Math.floor(s / 3600), m = Math.floor((s % 3600) / 60), sec = String(s % 60).padStart(2, '0');
+                return h ? \`\${h}:\${String(m).padStart(2, '0')}:\${sec}\` : \`\${m}:\${sec}\`;
+            };
 
             function applyTheme() {
                 const isDark = localStorage.theme === 'dark' || (!('theme' in localStorage) && window.matchMedia('(prefers-color-scheme: dark)').matches);
@@ -548,7 +4357,11 @@ app.get('/', (req, res) => {
             applyTheme();
 
             // TOAST NOTIFICATION SYSTEM
+            const visibleToasts = new Set(); // Identical messages (e.g. a 429 seen by fetch and by the caller) show once
+
             function showToast(msg, type = 'info') {
+                if (visibleToasts.has(msg)) return;
+                visibleToasts.add(msg);
                 const container = document.getElementById('toast-container');
                 const toast = document.createElement('div');
                 const colors = type === 'error' ? 'bg-red-500' : (type === 'success' ? 'bg-green-500' : 'bg-brand');
@@ -557,7 +4370,7 @@ app.get('/', (req, res) => {
                 const icon = type === 'error' ? '<svg class="w-4 h-4 md:w-5 md:h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M12 8v4m0 4h.01M21 12a9 9 0 11-18 0 9 9 0 0118 0z"></path></svg>' 
                            : '<svg class="w-4 h-4 md:w-5 md:h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M13 16h-1v-4h-1m1-4h.01M21 12a9 9 0 11-18 0 9 9 0 0118 0z"></path></svg>';
                 
-                toast.innerHTML = \`\${icon} \${msg}\`;
+                toast.innerHTML = \`\${icon} \${escapeHtml(msg)}\`; // Messages can quote remote titles, e.g. chapter names
                 container.appendChild(toast);
                 
                 requestAnimationFrame(() => {
@@ -567,9 +4380,37 @@ app.get('/', (req, res) => {
                 setTimeout(() => {
                     toast.classList.add('translate-y-10', 'opacity-0');
                     setTimeout(() => toast.remove(), 300);
+                    visibleToasts.delete(msg);
                 }, 4000);
             }
 
+            // ACCOUNT & QUOTA
+            // Any 401 means the session expired or was revoked: send the user back to the login page.
+            // Rate limit answers carry Retry-After and are surfaced here, so background polls get a toast too
+            const nativeFetch = window.fetch.bind(window);
+            window.fetch = async (...args) => {
+                const res = await nativeFetch(...args);
+                if (res.status === 401) window.location.href = '/login';
+                if (res.status === 429 && res.headers.get('Retry-After')) {
+                    res.clone().json().then(data => showToast(data.error, "error")).catch(() => {});
+                }
+                return res;
+            };
+
+            async function loadQuota() {
+                const el = document.getElementById('quota-text');
+                if (!el) return;
+                const me = await (await fetch('/api/me')).json();
+                const downloads = me.quota.dailyDownloads ? \`\${me.usage.downloads}/\${me.quota.dailyDownloads}\` : \`\${me.usage.downloads}\`;
+                const used = me.usage.bytes ? bytes(me.usage.bytes) : '0 MB';
+                el.innerText = \`Today: \${downloads} downloads • \${me.quota.dailyBytes ? \`\${used} / \${bytes(me.quota.dailyBytes)}\` : used}\`;
+            }
+
+            async function logout() {
+                await fetch('/api/logout', { method: 'POST' });
+                window.location.href = '/login';
+            }
+
             // INPUT CONTROLS
             function clearInput() {
                 document.getElementById('url').value = '';
@@ -589,6 +4430,10 @@ app.get('/', (req, res) => {
             // Initialization & URL params
             window.addEventListener('DOMContentLoaded', () => {
                 const urlInput = document.getElementById('url');
+                loadQuota();
+                loadDiagnostics().then(data => {
+                    if (data && data.status === 'fail') showToast("Server problem: " + data.checks.find(c => c.status === 'fail').message, "error");
+                });
                 
                 urlInput.addEventListener('keypress', function(e) {
                     if (e.key === 'Enter') {
@@ -623,46 +4468,157 @@ app.get('/', (req, res) => {
                 document.body.removeChild(a);
             }
 
-            // RECENT SEARCH HISTORY LOCAL STORAGE
-            function saveRecent(metadata, rawUrl) {
-                let recent = JSON.parse(localStorage.getItem('umx_recent') || '[]');
-                recent = recent.filter(r => r.url !== rawUrl);
-                recent.unshift({ title: metadata.title, thumb: metadata.thumbnail, url: rawUrl });
-                if (recent.length > 20) recent.pop(); // Keep last 20 searches purely as light history
-                localStorage.setItem('umx_recent', JSON.stringify(recent));
-                loadRecent();
+            // RECENT ACTIVITY (server-side history, shared across the user's devices)
+            const HISTORY_PAGE = 12;
+            let recentItems = [];
+
+            function recentStatusText(r) {
+                if (r.kind === 'analysis') return r.type === 'playlist' ? \`Playlist • \${r.entries} entries\` : 'Searched';
+                if (r.status === 'completed') return \`\${r.fromLibrary ? 'From library' : 'Downloaded'} • \${bytes(r.size)}\`;
+                if (r.status === 'error') return 'Failed • ' + (r.error || 'unknown error');
+                return r.status.charAt(0).toUpperCase() + r.status.slice(1);
             }
 
-            function loadRecent() {
+            async function loadRecent(more = false) {
+                localStorage.removeItem('umx_recent'); // Pre-server history; the server is the source of truth now
                 const wrapper = document.getElementById('recent-wrapper');
-                let recent = JSON.parse(localStorage.getItem('umx_recent') || '[]');
+                const kind = document.getElementById('recent-kind').value;
+                let data;
+                try {
+                    data = await (await fetch(\`/api/history?limit=\${HISTORY_PAGE}&offset=\${more ? recentItems.length : 0}\${kind ? '&kind=' + kind : ''}\`)).json();
+                } catch (e) {
+                    return;
+                }
+                if (data.error) return;
+                recentItems = more ? recentItems.concat(data.items) : data.items;
                 const container = document.getElementById('recent-list');
                 
-                if (recent.length === 0) {
+                if (recentItems.length === 0 && !kind) {
                     wrapper.classList.add('hidden');
                     return;
                 }
                 wrapper.classList.remove('hidden');
+                document.getElementById('recent-more').classList.toggle('hidden', recentItems.length >= data.total);
                 
-                container.innerHTML = recent.map(r => \`
-                    <div class="flex items-center gap-3 md:gap-4 p-3 md:p-4 bg-white dark:bg-slate-900 rounded-xl md:rounded-2xl shadow-sm border border-slate-200 dark:border-slate-800 cursor-pointer hover:border-brand dark:hover:border-brand transition group relative" onclick="loadFromHistory('\${r.url.replace(/'/g, "\\\\'")}')">
-                        <img src="\${r.thumb}" class="w-12 h-12 md:w-14 md:h-14 object-cover rounded-lg md:rounded-xl shadow-sm bg-slate-100">
+                container.innerHTML = recentItems.map((r, idx) => \`
+                    <div class="flex items-center gap-3 md:gap-4 p-3 md:p-4 bg-white dark:bg-slate-900 rounded-xl md:rounded-2xl shadow-sm border border-slate-200 dark:border-slate-800 cursor-pointer hover:border-brand dark:hover:border-brand transition group relative" onclick="loadFromHistory(recentItems[\${idx}].url)">
+                        <img src="\${escapeHtml(r.thumbnail || '/favicon.ico')}" class="w-12 h-12 md:w-14 md:h-14 object-cover rounded-lg md:rounded-xl shadow-sm bg-slate-100" onerror="this.src='/favicon.ico'">
                         <div class="flex-1 min-w-0 pr-8">
-                            <h4 class="font-bold text-xs md:text-sm truncate dark:text-slate-100 group-hover:text-brand transition">\${r.title}</h4>
-                            <p class="text-[9px] md:text-[10px] text-slate-500 truncate mt-0.5 md:mt-1">\${r.url}</p>
+                            <h4 class="font-bold text-xs md:text-sm truncate dark:text-slate-100 group-hover:text-brand transition">\${escapeHtml(r.title)}</h4>
+                            <p class="text-[9px] md:text-[10px] truncate mt-0.5 md:mt-1 \${r.status === 'error' ? 'text-red-500' : 'text-slate-500'}">\${escapeHtml(recentStatusText(r))} • \${new Date(r.createdAt).toLocaleDateString()}</p>
                         </div>
-                        <button onclick="deleteRecent('\${r.url.replace(/'/g, "\\\\'")}', event)" class="absolute right-2 md:right-3 p-1.5 md:p-2 text-slate-400 hover:text-red-500 hover:bg-red-50 dark:hover:bg-red-500/10 rounded-lg md:rounded-xl transition" title="Remove from history">
+                        <button onclick="deleteRecent('\${r.id}', event)" class="absolute right-2 md:right-3 p-1.5 md:p-2 text-slate-400 hover:text-red-500 hover:bg-red-50 dark:hover:bg-red-500/10 rounded-lg md:rounded-xl transition" title="Remove from history">
                             <svg class="w-4 h-4 md:w-5 md:h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16"></path></svg>
                         </button>
                     </div>
+                \`).join('') || '<p class="text-xs text-slate-500 px-2">Nothing here yet.</p>';
+            }
+
+            // SERVER SETTINGS (read-only, from the layered config)
+            function toggleServerPanel() {
+                const wrapper = document.getElementById('server-wrapper');
+                wrapper.classList.toggle('hidden');
+                if (wrapper.classList.contains('hidden')) return;
+                loadDiagnostics();
+                loadServerConfig();
+                wrapper.scrollIntoView({ behavior: 'smooth' });
+            }
+
+            async function loadServerConfig() {
+                const data = await (await fetch('/api/config')).json();
+                if (data.error) return showToast(data.error, "error");
+
+                document.getElementById('config-file').innerText = data.file ? '• ' + data.file : '• no config file';
+                const shown = (value) => Array.isArray(value) ? (value.join(', ') || 'none') : (value === null ? 'unset' : String(value));
+                document.getElementById('config-list').innerHTML = data.settings.map(s => \`
+                    <tr title="\${escapeHtml(s.description)}">
+                        <td class="px-3 md:px-4 py-2 font-black text-slate-700 dark:text-slate-200 whitespace-nowrap">\${escapeHtml(s.key)}</td>
+                        <td class="px-3 md:px-4 py-2 font-mono break-all">\${escapeHtml(shown(s.value))}</td>
+                        <td class="px-3 md:px-4 py-2 text-slate-500 whitespace-nowrap">\${s.source === 'default' ? 'default' : '<span class="text-brand font-bold">' + escapeHtml(s.source) + '</span>'}</td>
+                        <td class="px-3 md:px-4 py-2 text-slate-500 hidden md:table-cell">\${escapeHtml(s.description)}</td>
+                    </tr>
+                \`).join('');
+            }
+
+            // DIAGNOSTICS: checked once on load so missing tools or expired cookies show up before a download fails
+            const DIAGNOSTIC_COLORS = { ok: 'bg-green-500', warn: 'bg-amber-500', fail: 'bg-red-500' };
+
+            async function loadDiagnostics(refresh = false) {
+                const data = await (await fetch('/api/diagnostics' + (refresh ? '?refresh=1' : ''))).json();
+                if (data.error) return showToast(data.error, "error");
+
+                const dot = document.getElementById('diagnostics-dot');
+                dot.className = \`\${data.status === 'ok' ? 'hidden ' : ''}absolute -top-1 -right-1 w-2.5 h-2.5 rounded-full \${DIAGNOSTIC_COLORS[data.status]}\`;
+                document.getElementById('diagnostics-versions').innerText = \`• checked \${new Date(data.checkedAt).toLocaleTimeString()}\`;
+                document.getElementById('diagnostics-list').innerHTML = data.checks.map(c => \`
+                    <div class="flex items-start gap-3 p-3 bg-white dark:bg-slate-900 rounded-xl shadow-sm border border-slate-200 dark:border-slate-800">
+                        <span class="mt-1 w-2.5 h-2.5 shrink-0 rounded-full \${DIAGNOSTIC_COLORS[c.status]}"></span>
+                        <div class="min-w-0">
+                            <p class="text-[10px] font-black uppercase tracking-widest text-slate-500">\${escapeHtml(c.id)}</p>
+                            <p class="text-xs dark:text-slate-200 break-words">\${escapeHtml(c.message)}</p>
+                        </div>
+                    </div>
+                \`).join('');
+                if (refresh) showToast(data.status === 'ok' ? "All checks passed" : "Some checks need attention", data.status === 'ok' ? "success" : "info");
+                return data;
+            }
+
+            // MEDIA LIBRARY (server-retained outputs, shared with the team)
+            function toggleLibrary() {
+                const wrapper = document.getElementById('library-wrapper');
+                wrapper.classList.toggle('hidden');
+                if (wrapper.classList.contains('hidden')) return;
+                loadLibrary();
+                wrapper.scrollIntoView({ behavior: 'smooth' });
+            }
+
+            let librarySearchTimer = null;
+            function searchLibrary() {
+                clearTimeout(librarySearchTimer);
+                librarySearchTimer = setTimeout(loadLibrary, 250);
+            }
+
+            async function loadLibrary() {
+                const q = document.getElementById('library-search').value;
+                const data = await (await fetch('/api/library?q=' + encodeURIComponent(q))).json();
+                if (data.error) return showToast(data.error, "error");
+
+                document.getElementById('library-usage').innerText = \`\${data.total} items • \${bytes(data.usedBytes)}\${data.limitBytes ? ' / ' + bytes(data.limitBytes) : ''}\`;
+                const container = document.getElementById('library-list');
+                if (data.items.length === 0) {
+                    container.innerHTML = \`<p class="text-xs text-slate-500 px-2">\${q ? 'No matches.' : 'Nothing retained yet. Finished downloads show up here.'}</p>\`;
+                    return;
+                }
+                container.innerHTML = data.items.map(item => \`
+                    <div class="flex items-center gap-3 md:gap-4 p-3 md:p-4 bg-white dark:bg-slate-900 rounded-xl md:rounded-2xl shadow-sm border border-slate-200 dark:border-slate-800 group relative">
+                        <img src="\${escapeHtml(item.thumbnail || '/favicon.ico')}" class="w-12 h-12 md:w-14 md:h-14 object-cover rounded-lg md:rounded-xl shadow-sm bg-slate-100" onerror="this.src='/favicon.ico'">
+                        <div class="flex-1 min-w-0 pr-16">
+                            <h4 class="font-bold text-xs md:text-sm truncate dark:text-slate-100">\${escapeHtml(item.title)}</h4>
+                            <p class="text-[9px] md:text-[10px] text-slate-500 truncate mt-0.5 md:mt-1">\${escapeHtml(item.container.toUpperCase())} • \${bytes(item.size)} • \${escapeHtml(item.platform)} • by \${escapeHtml(item.addedBy)}</p>
+                        </div>
+                        <div class="absolute right-2 md:right-3 flex gap-1">
+                            <a href="/api/library/\${item.id}/file/\${encodeURIComponent(item.title)}" class="p-1.5 md:p-2 text-slate-400 hover:text-brand hover:bg-slate-100 dark:hover:bg-slate-800 rounded-lg md:rounded-xl transition" title="Download again">
+                                <svg class="w-4 h-4 md:w-5 md:h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M4 16v1a3 3 0 003 3h10a3 3 0 003-3v-1m-4-4l-4 4m0 0l-4-4m4 4V4"></path></svg>
+                            </a>
+                            \${item.canDelete ? \`<button onclick="deleteLibraryItem('\${item.id}')" class="p-1.5 md:p-2 text-slate-400 hover:text-red-500 hover:bg-red-50 dark:hover:bg-red-500/10 rounded-lg md:rounded-xl transition" title="Delete from library">
+                                <svg class="w-4 h-4 md:w-5 md:h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16"></path></svg>
+                            </button>\` : ''}
+                        </div>
+                    </div>
                 \`).join('');
             }
 
-            function deleteRecent(url, event) {
+            async function deleteLibraryItem(itemId) {
+                if (!confirm('Delete this file from the library for everyone?')) return;
+                const data = await (await fetch('/api/library/' + itemId, { method: 'DELETE' })).json();
+                if (data.error) return showToast(data.error, "error");
+                showToast("Removed from library", "success");
+                loadLibrary();
+            }
+
+            async function deleteRecent(entryId, event) {
                 event.stopPropagation(); // Prevents triggering the loadFromHistory action underneath
-                let recent = JSON.parse(localStorage.getItem('umx_recent') || '[]');
-                recent = recent.filter(r => r.url !== url);
-                localStorage.setItem('umx_recent', JSON.stringify(recent));
+                await fetch('/api/history/' + entryId, { method: 'DELETE' });
                 loadRecent();
                 showToast("Removed from history", "info");
             }
@@ -673,7 +4629,18 @@ app.get('/', (req, res) => {
                 analyze();
             }
 
-            async function analyze() {
+            // Cached analyses say how old they are and offer a forced re-fetch from the platform
+            function renderCacheInfo(cache) {
+                document.querySelectorAll('[data-cache-chip]').forEach(chip => {
+                    chip.classList.toggle('hidden', !(cache && cache.hit));
+                    if (!cache || !cache.hit) return;
+                    const minutes = Math.round((Date.now() - cache.cachedAt) / 60000);
+                    chip.className = 'inline-flex items-center gap-2 px-2.5 py-1 rounded-lg bg-slate-200 dark:bg-slate-800 text-[10px] md:text-xs font-black uppercase tracking-widest text-slate-500';
+                    chip.innerHTML = \`Cached \${minutes < 1 ? 'just now' : minutes + ' min ago'} <button onclick="analyze(true)" class="text-brand hover:underline">Refresh</button>\`;
+                });
+            }
+
+            async function analyze(refresh = false) {
                 const url = document.getElementById('url').value;
                 if (!url) return showToast("Please paste a URL first.", "error");
                 
@@ -682,13 +4649,14 @@ app.get('/', (req, res) => {
                 window.history.pushState({}, '', currentUrl);
 
                 document.getElementById('result').classList.add('hidden');
+                document.getElementById('playlist-result').classList.add('hidden');
                 document.getElementById('loader').classList.remove('hidden');
                 
                 try {
                     const res = await fetch('/api/analyze', {
                         method: 'POST',
                         headers: { 'Content-Type': 'application/json' },
-                        body: JSON.stringify({ url })
+                        body: JSON.stringify({ url, playlist: document.getElementById('playlist-toggle').checked, refresh })
                     });
                     const data = await res.json();
                     document.getElementById('loader').classList.add('hidden');
@@ -696,12 +4664,28 @@ app.get('/', (req, res) => {
                     if (data.error) {
                         return showToast(data.error, "error");
                     }
+                    renderCacheInfo(data.cache);
+
+                    if (data.type === 'playlist') {
+                        currentPlaylist = data;
+                        loadRecent();
+                        renderPlaylist();
+                        document.getElementById('playlist-result').classList.remove('hidden');
+                        return showToast(\`Playlist loaded: \${data.entries.length} entries\`, "success");
+                    }
                     
                     currentMetadata = data;
+                    clips = [];
+                    renderClips();
+                    renderSubtitles();
+                    renderChapters();
                     document.getElementById('title').innerText = data.title;
                     document.getElementById('thumb').src = data.thumbnail;
+                    const cookieChip = document.getElementById('cookie-chip');
+                    cookieChip.classList.toggle('hidden', !data.cookieProfile);
+                    cookieChip.innerText = data.cookieProfile ? 'Cookies: ' + data.cookieProfile.name : '';
                     
-                    saveRecent(data, url); // Save lightweight search to history on successful analysis
+                    loadRecent(); // The server recorded this analysis in the user's history
                     renderLists();
                     
                     document.getElementById('result').classList.remove('hidden');
@@ -715,6 +4699,7 @@ app.get('/', (req, res) => {
             // DYNAMIC RENDERING & ADVANCED TOGGLE
             function toggleAdvanced() {
                 advancedMode = document.getElementById('adv-toggle').checked;
+                document.getElementById('out-advanced').classList.toggle('hidden', !advancedMode);
                 renderLists();
             }
 
@@ -746,7 +4731,7 @@ app.get('/', (req, res) => {
                     
                     // Auto-select the top result
                     let isSkip = idx === 0;
-                    vL.innerHTML += createOption('v', f.id, f.resolution, \`\${f.label} • \${f.codec_info.toUpperCase()}\`, badge, isSkip, f.size);
+                    vL.innerHTML += createOption('v', f.id, f.resolution, \`\${f.label} • \${f.codec_info.toUpperCase()}\`, badge, isSkip, f.size, f);
                 });
 
                 // --- Audio Processing ---
@@ -760,7 +4745,7 @@ app.get('/', (req, res) => {
                     
                     aL.innerHTML += createOption('a', '', 'No Audio', 'SKIP SOUND', 'bg-slate-200 dark:bg-slate-800', false, 0);
                     aFormats.forEach((f, idx) => {
-                        aL.innerHTML += createOption('a', f.id, f.abr || 'HQ', f.label, 'bg-green-500', idx === 0, f.size);
+                        aL.innerHTML += createOption('a', f.id, f.abr || 'HQ', f.label, 'bg-green-500', idx === 0, f.size, f);
                     });
                 } else {
                     aL.innerHTML = createOption('a', '', 'Audio Included', 'PRE-MERGED', 'bg-green-500', true, 0);
@@ -769,11 +4754,11 @@ app.get('/', (req, res) => {
                 updateEstimatedSize();
             }
 
-            function createOption(name, id, main, sub, badge, isSkip, rawSize) {
+            function createOption(name, id, main, sub, badge, isSkip, rawSize, format = {}) {
                 const sizeStr = rawSize > 0 ? bytes(rawSize) : (id === '' ? '' : 'Unknown Size');
                 return \`<label class="flex items-center justify-between p-3 md:p-4 bg-white dark:bg-slate-900 rounded-xl md:rounded-2xl border-2 border-transparent hover:border-brand/40 cursor-pointer transition has-[:checked]:border-brand has-[:checked]:bg-brand/5">
                     <div class="flex items-center gap-3 md:gap-4">
-                        <input type="radio" name="\${name}" value="\${id}" data-label="\${main}" data-size="\${rawSize}" class="w-4 h-4 md:w-5 md:h-5 accent-brand" \${isSkip ? 'checked' : ''} onchange="updateEstimatedSize()">
+                        <input type="radio" name="\${name}" value="\${id}" data-label="\${main}" data-size="\${rawSize}" data-vcodec="\${format.vcodec || ''}" data-acodec="\${format.acodec || ''}" class="w-4 h-4 md:w-5 md:h-5 accent-brand" \${isSkip ? 'checked' : ''} onchange="updateEstimatedSize()">
                         <div>
                             <div class="flex items-center gap-1.5 md:gap-2">
                                 <span class="font-black text-xs md:text-sm uppercase dark:text-slate-100">\${main}</span>
@@ -785,14 +4770,153 @@ app.get('/', (req, res) => {
                 </label>\`;
             }
 
+            // CLIP RANGE SELECTOR
+            function parseTime(value) {
+                const parts = String(value).trim().split(':');
+                if (!value || parts.length > 3 || parts.some(p => !/^\d+(\.\d+)?$/.test(p))) return NaN;
+                return parts.reduce((total, p) => total * 60 + parseFloat(p), 0);
+            }
+
+            function clipEnd(c) {
+                return c.end === null ? (currentMetadata.duration || 0) : c.end;
+            }
+
+            function clippedSeconds() {
+                return clips.reduce((total, c) => total + Math.max(0, clipEnd(c) - c.start), 0);
+            }
+
+            function renderClips() {
+                const total = currentMetadata.duration || 0;
+                document.getElementById('clip-list').innerHTML = clips.map((c, idx) => {
+                    const left = total ? (c.start / total) * 100 : 0;
+                    const width = total ? ((clipEnd(c) - c.start) / total) * 100 : 100;
+                    const slider = (field, value) => total ? \`<input type="range" min="0" max="\${Math.floor(total)}" value="\${Math.round(value)}" oninput="updateClip(\${idx}, '\${field}', this.value)" class="w-full accent-brand">\` : '';
+                    return \`<div class="p-3 bg-white dark:bg-slate-900 rounded-xl border border-slate-200 dark:border-slate-800">
+                        <div class="flex items-center gap-2 text-[10px] md:text-xs font-black uppercase tracking-widest">
+                            <span class="text-slate-400">#\${idx + 1}</span>
+                            <input value="\${duration(c.start) === '--:--' ? '0:00' : duration(c.start)}" onchange="updateClip(\${idx}, 'start', parseTime(this.value))" class="w-20 bg-slate-100 dark:bg-slate-800 px-2 py-1 rounded-lg text-center outline-none" title="Start (e.g. 1:30)">
+                            <span class="text-slate-400">→</span>
+                            <input value="\${c.end === null ? '' : duration(c.end)}" placeholder="End" onchange="updateClip(\${idx}, 'end', this.value ? parseTime(this.value) : null)" class="w-20 bg-slate-100 dark:bg-slate-800 px-2 py-1 rounded-lg text-center outline-none" title="End (blank = until the end)">
+                            <span class="flex-1 text-right text-brand">\${duration(clipEnd(c) - c.start)}</span>
+                            <button onclick="removeClip(\${idx})" class="px-2 text-slate-400 hover:text-red-500 transition" title="Remove range">✕</button>
+                        </div>
+                        <div class="relative h-1.5 mt-2 bg-slate-200 dark:bg-slate-800 rounded-full overflow-hidden">
+                            <div class="absolute h-full bg-brand rounded-full" style="left:\${left}%;width:\${width}%"></div>
+                        </div>
+                        \${slider('start', c.start)}\${slider('end', clipEnd(c))}
+                    </div>\`;
+                }).join('');
+
+                document.getElementById('clip-total').innerText = clips.length ? \`\${clips.length} range\${clips.length > 1 ? 's' : ''} • \${duration(clippedSeconds())}\` : 'Full Video';
+                updateEstimatedSize();
+            }
+
+            function addClip() {
+                const total = currentMetadata.duration || 0;
+                const last = clips[clips.length - 1];
+                const start = last ? clipEnd(last) : 0;
+                if (total && start >= total) return showToast("The last range already reaches the end of the video.", "error");
+                clips.push({ start, end: total ? Math.min(start + 30, total) : start + 30 });
+                renderClips();
+            }
+
+            function updateClip(idx, field, value) {
+                const total = currentMetadata.duration || 0;
+                if (value !== null && isNaN(value)) {
+                    renderClips();
+                    return showToast("Use timestamps like 90, 1:30 or 1:02:03.", "error");
+                }
+                value = value === null ? null : Number(value);
+                if (field === 'end' && total && value !== null && value >= total) value = null;
+                clips[idx][field] = value;
+                // Keep the range non-empty while the sliders are dragged past each other
+                if (clipEnd(clips[idx]) <= clips[idx].start) {
+                    if (field === 'start') clips[idx].end = total ? Math.min(clips[idx].start + 1, total) : clips[idx].start + 1;
+                    else clips[idx].start = Math.max(0, clipEnd(clips[idx]) - 1);
+                }
+                renderClips();
+            }
+
+            function removeClip(idx) {
+                clips.splice(idx, 1);
+                renderClips();
+            }
+
+            // CHAPTERS
+            function renderChapters() {
+                const chapters = currentMetadata.chapters || [];
+                document.getElementById('chapter-box').classList.toggle('hidden', chapters.length === 0);
+                document.getElementById('chapter-mode').value = 'embed';
+                document.getElementById('chapter-count').innerText = chapters.length;
+                document.getElementById('chapter-list').innerHTML = chapters.map((c, idx) => \`<div class="flex items-center gap-2 px-3 py-1.5 bg-white dark:bg-slate-900 rounded-lg text-[10px] md:text-xs font-bold">
+                    <span class="text-slate-400 w-16">\${duration(c.start) === '--:--' ? '0:00' : duration(c.start)}</span>
+                    <span class="flex-1 truncate dark:text-slate-200">\${escapeHtml(c.title)}</span>
+                    <button onclick="clipChapter(\${idx})" class="text-[9px] md:text-[10px] font-black uppercase tracking-widest text-slate-400 hover:text-brand transition" title="Add this chapter as a clip range">+ Clip</button>
+                </div>\`).join('');
+            }
+
+            function clipChapter(idx) {
+                const c = currentMetadata.chapters[idx];
+                if (clips.some(r => c.start < clipEnd(r) && r.start < c.end)) return showToast("That chapter overlaps an existing range.", "error");
+                clips.push({ start: c.start, end: c.end >= (currentMetadata.duration || Infinity) ? null : c.end });
+                clips.sort((a, b) => a.start - b.start);
+                renderClips();
+                showToast(\`Added "\${c.title}" as a clip range\`, "info");
+            }
+
+            // SUBTITLE PICKER
+            function renderSubtitles() {
+                const tracks = currentMetadata.subtitles || [];
+                const chip = t => \`<label class="flex items-center gap-1.5 px-3 py-1.5 bg-white dark:bg-slate-900 rounded-lg border border-slate-200 dark:border-slate-800 cursor-pointer text-[10px] md:text-xs font-bold has-[:checked]:border-brand has-[:checked]:bg-brand/5">
+                    <input type="checkbox" class="sub-lang accent-brand" value="\${escapeHtml(t.lang)}" data-auto="\${t.auto}">
+                    \${escapeHtml(t.name)} <span class="text-slate-400 uppercase">\${escapeHtml(t.lang)}</span>
+                </label>\`;
+                const manual = tracks.filter(t => !t.auto);
+                const auto = tracks.filter(t => t.auto);
+
+                document.getElementById('sub-box').classList.toggle('hidden', tracks.length === 0);
+                document.getElementById('sub-manual').innerHTML = manual.length ? manual.map(chip).join('') : '<span class="text-[10px] md:text-xs text-slate-400 font-bold">No uploaded subtitles, only auto-generated captions</span>';
+                document.getElementById('sub-auto').innerHTML = auto.map(chip).join('');
+                document.getElementById('sub-auto-count').innerText = auto.length;
+                document.getElementById('sub-auto-box').classList.toggle('hidden', auto.length === 0);
+            }
+
+            function selectedSubtitles() {
+                const checked = [...document.querySelectorAll('.sub-lang:checked')];
+                if (!checked.length) return null;
+                return {
+                    languages: [...new Set(checked.map(c => c.value))],
+                    mode: document.getElementById('sub-mode').value,
+                    format: document.getElementById('sub-format').value,
+                    auto: checked.some(c => c.dataset.auto === 'true')
+                };
+            }
+
+            // Separate subtitle files go first: fetching the media purges the job on the server
+            async function saveSubtitleFiles(s) {
+                for (const track of (s.subtitleFiles || [])) {
+                    const res = await fetch(\`/api/jobs/\${s.jobId}/subtitles/\${encodeURIComponent(track.lang)}\`);
+                    if (!res.ok) continue;
+                    const link = document.createElement('a');
+                    link.href = URL.createObjectURL(await res.blob());
+                    link.download = \`\${currentMetadata.title.replace(/[^a-z0-9]/gi, '_')}.\${track.lang}\${track.file.slice(track.file.lastIndexOf('.'))}\`;
+                    link.click();
+                    setTimeout(() => URL.revokeObjectURL(link.href), 10000);
+                }
+            }
+
             // DYNAMIC FILE SIZE ESTIMATOR
             function updateEstimatedSize() {
                 const vNode = document.querySelector('input[name="v"]:checked');
                 const aNode = document.querySelector('input[name="a"]:checked');
                 
+                // Audio-only output drops the video stream, so only the audio track counts
+                const audioOnly = document.getElementById('out-profile').selectedOptions[0].parentNode.label === 'Audio Only';
                 let totalBytes = 0;
-                if (vNode && vNode.dataset.size) totalBytes += parseInt(vNode.dataset.size) || 0;
+                if (vNode && vNode.dataset.size && !(audioOnly && aNode && aNode.value)) totalBytes += parseInt(vNode.dataset.size) || 0;
                 if (aNode && aNode.dataset.size) totalBytes += parseInt(aNode.dataset.size) || 0;
+                // Clips only keep their share of the stream (roughly, bitrate is not constant)
+                if (clips.length && currentMetadata.duration) totalBytes *= Math.min(1, clippedSeconds() / currentMetadata.duration);
 
                 const sizeUI = document.getElementById('size-val');
                 if (totalBytes > 0) {
@@ -804,6 +4928,111 @@ app.get('/', (req, res) => {
                 }
             }
 
+            // PLAYLIST MODE
+            function renderPlaylist() {
+                document.getElementById('pl-title').innerText = currentPlaylist.title;
+                document.getElementById('pl-thumb').src = currentPlaylist.thumbnail || '';
+                document.getElementById('pl-meta').innerText = [currentPlaylist.uploader, \`\${currentPlaylist.entries.length} entries\`].filter(Boolean).join(' • ');
+                document.getElementById('pl-select-all').checked = true;
+                document.getElementById('batch-box').classList.add('hidden');
+
+                document.getElementById('pl-list').innerHTML = currentPlaylist.entries.map((e, idx) => \`
+                    <label class="flex items-center gap-3 md:gap-4 p-3 md:p-4 bg-slate-50 dark:bg-slate-950/50 rounded-xl md:rounded-2xl border-2 border-transparent hover:border-brand/40 cursor-pointer transition has-[:checked]:border-brand has-[:checked]:bg-brand/5">
+                        <input type="checkbox" name="pl-entry" value="\${idx}" class="w-4 h-4 md:w-5 md:h-5 accent-brand" \${e.isPlaylist ? '' : 'checked'}>
+                        <img src="\${escapeHtml(e.thumbnail || '')}" class="w-16 h-10 md:w-20 md:h-12 object-cover rounded-lg shadow-sm bg-slate-200 dark:bg-slate-800">
+                        <div class="flex-1 min-w-0">
+                            <h4 class="font-bold text-xs md:text-sm truncate dark:text-slate-100">\${escapeHtml(e.index)}. \${escapeHtml(e.title)}</h4>
+                            <p class="text-[9px] md:text-[10px] font-black uppercase tracking-widest text-slate-500 mt-0.5">\${e.isPlaylist ? 'Nested Playlist' : duration(e.duration)}</p>
+                        </div>
+                        <span id="pl-status-\${idx}" class="text-[9px] md:text-[10px] font-black text-brand italic uppercase"></span>
+                    </label>
+                \`).join('');
+            }
+
+            function toggleAllEntries(checked) {
+                document.querySelectorAll('input[name="pl-entry"]').forEach(cb => { cb.checked = checked; });
+            }
+
+            // Saves a finished job through a hidden iframe so several files can arrive without leaving the page
+            function saveJobFile(jobId, title) {
+                const frame = document.createElement('iframe');
+                frame.style.display = 'none';
+                frame.src = \`/api/file/\${jobId}/\${encodeURIComponent(title)}\`;
+                document.body.appendChild(frame);
+                setTimeout(() => frame.remove(), 60000);
+            }
+
+            async function bumpJob() {
+                if (!currentJobId) return;
+                const res = await fetch(\`/api/queue/\${currentJobId}/bump\`, { method: 'POST' });
+                const data = await res.json();
+                if (data.error) return showToast(data.error, "error");
+                showToast("Moved to the front of the queue", "success");
+            }
+
+            async function resumeJob(jobId) {
+                try {
+                    await fetch(\`/api/jobs/\${jobId}/resume\`, { method: 'POST' });
+                } catch (e) {}
+            }
+
+            async function downloadBatch() {
+                const selected = [...document.querySelectorAll('input[name="pl-entry"]:checked')].map(cb => parseInt(cb.value));
+                if (selected.length === 0) return showToast("Select at least one entry.", "error");
+
+                const entries = selected.map(idx => currentPlaylist.entries[idx]);
+                showToast(\`Batch Started: \${entries.length} downloads queued\`, "info");
+
+                const res = await fetch('/api/batch', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({
+                        title: currentPlaylist.title,
+                        quality: document.getElementById('pl-quality').value,
+                        profile: document.getElementById('pl-profile').value,
+                        entries: entries.map(e => ({ url: e.url, title: e.title, thumbnail: e.thumbnail }))
+                    })
+                });
+                const data = await res.json();
+                if (data.error) return showToast(data.error, "error");
+
+                // Map each jobId back to its row in the entry list
+                const rowFor = {};
+                data.jobs.forEach((j, i) => { rowFor[j.jobId] = selected[i]; });
+                const saved = new Set();
+                document.getElementById('batch-box').classList.remove('hidden');
+
+                const poll = setInterval(async () => {
+                    let b;
+                    try {
+                        b = await (await fetch('/api/batch/' + data.batchId)).json();
+                    } catch (e) {
+                        return document.getElementById('b-status').innerText = 'Reconnecting...';
+                    }
+                    if (b.error) return clearInterval(poll);
+
+                    document.getElementById('b-bar').style.width = b.progress;
+                    document.getElementById('b-val').innerText = b.progress;
+                    document.getElementById('b-status').innerText = \`\${b.completed} / \${b.total} completed\${b.failed ? \` • \${b.failed} failed\` : ''}\`;
+
+                    b.jobs.forEach(j => {
+                        const label = document.getElementById('pl-status-' + rowFor[j.jobId]);
+                        if (label) label.innerText = j.status === 'downloading' ? j.progress : (j.status === 'queued' ? \`queued #\${j.queuePosition}\` : j.status);
+                        if (label && j.error) label.title = j.error;
+                        if (j.status === 'interrupted') resumeJob(j.jobId);
+                        if (j.status === 'completed' && !saved.has(j.jobId)) {
+                            saved.add(j.jobId);
+                            saveJobFile(j.jobId, j.title);
+                        }
+                    });
+
+                    if (b.finished) {
+                        clearInterval(poll);
+                        showToast(\`Batch finished: \${b.completed} ready, \${b.failed} failed\`, b.failed ? "error" : "success");
+                    }
+                }, 1000);
+            }
+
             async function download() {
                 const vRadio = document.querySelector('input[name="v"]:checked');
                 const aRadio = document.querySelector('input[name="a"]:checked');
@@ -818,33 +5047,166 @@ app.get('/', (req, res) => {
                     method: 'POST',
                     headers: { 'Content-Type': 'application/json' },
                     body: JSON.stringify({
-                        url: document.getElementById('url').value,
+                        url: currentMetadata.url || document.getElementById('url').value,
                         vId, aId,
                         vLabel: vRadio ? vRadio.getAttribute('data-label') : 'NoVideo',
                         aLabel: aRadio ? aRadio.getAttribute('data-label') : 'NoAudio',
-                        title: currentMetadata.title
+                        // Codecs let the server remux instead of re-encoding when MP4 can hold them as-is
+                        vCodec: vRadio ? vRadio.dataset.vcodec : '',
+                        aCodec: aId ? aRadio.dataset.acodec : (vRadio ? vRadio.dataset.acodec : ''),
+                        profile: document.getElementById('out-profile').value,
+                        videoCodec: advancedMode ? document.getElementById('out-vcodec').value : 'auto',
+                        audioBitrate: advancedMode ? document.getElementById('out-abitrate').value : '',
+                        ...(advancedMode && document.getElementById('out-crf') ? {
+                            crf: document.getElementById('out-crf').value,
+                            videoBitrate: document.getElementById('out-vbitrate').value.trim(),
+                            preset: document.getElementById('out-preset').value
+                        } : {}),
+                        clips,
+                        duration: currentMetadata.duration,
+                        subtitles: selectedSubtitles(),
+                        chapters: document.getElementById('chapter-mode').value,
+                        title: currentMetadata.title,
+                        thumbnail: currentMetadata.thumbnail
                     })
                 });
                 
-                const { jobId } = await res.json();
+                const data = await res.json();
+                if (data.error) return showToast(data.error, "error");
+                trackJob(data.jobId);
+            }
+
+            // JOB CONTROLS (Cancel / Pause / Retry next to the progress bar)
+            function setJobControls(s) {
+                const active = ['queued', 'downloading', 'paused', 'interrupted'].includes(s.status);
+                document.getElementById('p-bump').classList.toggle('hidden', !(s.status === 'queued' && s.queuePosition > 1));
+                document.getElementById('p-pause').classList.toggle('hidden', !['queued', 'downloading', 'paused'].includes(s.status));
+                document.getElementById('p-pause').innerText = s.status === 'paused' ? 'Resume' : 'Pause';
+                document.getElementById('p-cancel').classList.toggle('hidden', !active);
+                document.getElementById('p-retry').classList.toggle('hidden', !['error', 'cancelled'].includes(s.status));
+                document.getElementById('p-log').classList.toggle('hidden', s.status !== 'error');
+                if (s.jobId) document.getElementById('p-log').href = \`/api/jobs/\${s.jobId}/log?format=text\`;
+            }
+
+            const PHASE_LABELS = {
+                queued: 'Queued',
+                starting: 'Starting...',
+                downloading: 'Downloading...',
+                downloading_video: 'Downloading Video...',
+                downloading_audio: 'Downloading Audio...',
+                merging: 'Merging Streams...',
+                remuxing: 'Remuxing (No Re-encode)...',
+                reencoding: 'Re-encoding...',
+                extracting_audio: 'Extracting Audio...',
+                trimming: 'Trimming Clips...',
+                embedding_subtitles: 'Embedding Subtitles...',
+                burning_subtitles: 'Burning In Subtitles...',
+                splitting_chapters: 'Splitting Chapters...',
+                packaging_chapters: 'Packaging Chapters...',
+                embedding_thumbnail: 'Embedding Thumbnail...'
+            };
+
+            function jobStatusText(s) {
+                if (s.status === 'queued') return \`Queued • Position #\${s.queuePosition}\${s.waitingForDisk ? ' • Waiting for disk space' : ''}\`;
+                if (s.status === 'paused') return 'Paused';
+                if (s.status === 'error') return 'Failed';
+                if (s.status === 'cancelled') return 'Cancelled';
+                if (s.status === 'expired') return 'Expired';
+                return PHASE_LABELS[s.phase] || 'Processing...';
+            }
+
+            // Bytes / speed / ETA while streams download; a heads-up once ffmpeg takes over
+            function jobDetailText(s) {
+                if (s.status === 'error') return s.error || '';
+                if (s.status !== 'downloading') return '';
+                if (s.phase === 'burning_subtitles') return 'Rendering subtitles into the picture • re-encoding video';
+                if (s.phase === 'trimming') return s.clipFallback ? 'Cutting ranges from the full download' : 'Joining downloaded ranges';
+                if (['merging', 'remuxing', 'embedding_thumbnail'].includes(s.phase) && s.encodePath === 'remux') return 'Stream copy • no re-encode needed';
+                if (['merging', 'remuxing', 'reencoding', 'extracting_audio', 'embedding_thumbnail'].includes(s.phase)) return \`\${s.encodeReason || 'Re-encoding'}\${s.encoder ? ' • ' + s.encoder : ''} • long videos take a while\`;
+                const parts = [];
+                if (s.downloadedBytes) parts.push(s.totalBytes ? \`\${bytes(s.downloadedBytes)} / \${bytes(s.totalBytes)}\` : bytes(s.downloadedBytes));
+                if (s.speed) parts.push(\`\${bytes(s.speed)}/s\`);
+                if (s.eta !== null && s.eta !== undefined) parts.push(\`ETA \${duration(s.eta)}\`);
+                return parts.join(' • ');
+            }
+
+            function trackJob(jobId) {
+                currentJobId = jobId;
+                if (jobStream) jobStream.close();
                 document.getElementById('prog-box').classList.remove('hidden');
+                setJobControls({ status: 'queued' });
+
+                // Server-Sent Events push every phase change; EventSource reconnects on its own across restarts
+                const stream = jobStream = new EventSource(\`/api/jobs/\${jobId}/events\`);
+                const onUpdate = (e) => renderJobUpdate(JSON.parse(e.data), stream);
+                stream.addEventListener('status', onUpdate);
+                stream.addEventListener('progress', onUpdate);
+                stream.onerror = () => {
+                    if (stream.readyState === EventSource.CONNECTING) document.getElementById('p-status').innerText = 'Reconnecting...';
+                };
+            }
+
+            async function renderJobUpdate(s, stream) {
+                document.getElementById('p-status').innerText = jobStatusText(s);
+                document.getElementById('p-detail').innerText = jobDetailText(s);
+                setJobControls(s);
+
+                // The server restarted mid-download: pick the job back up where yt-dlp left off
+                if (s.status === 'interrupted' && s.resumable) {
+                    showToast("Server restarted. Resuming download...", "info");
+                    return resumeJob(s.jobId);
+                }
+
+                // Post-processing has no percentage, so pulse the bar instead of sitting silently at 100%
+                const bar = document.getElementById('p-bar');
+                bar.classList.toggle('animate-pulse', ['merging', 'remuxing', 'reencoding', 'extracting_audio', 'trimming', 'embedding_subtitles', 'burning_subtitles', 'splitting_chapters', 'packaging_chapters', 'embedding_thumbnail'].includes(s.phase));
+                bar.style.width = s.progress;
+                document.getElementById('p-val').innerText = s.progress;
+                if (['completed', 'error', 'cancelled', 'expired'].includes(s.status)) loadRecent();
                 
-                const poll = setInterval(async () => {
-                    const s = await (await fetch('/api/status/' + jobId)).json();
-                    document.getElementById('p-bar').style.width = s.progress;
-                    document.getElementById('p-val').innerText = s.progress;
-                    
-                    if (s.status === 'completed') {
-                        clearInterval(poll);
-                        showToast("File ready! Downloading...", "success");
-                        window.location.href = \`/api/file/\${jobId}/\${encodeURIComponent(currentMetadata.title)}\`;
-                        setTimeout(() => { document.getElementById('prog-box').classList.add('hidden'); }, 3000);
-                    } else if (s.status === 'error') {
-                        clearInterval(poll);
-                        showToast("Processing failed. Check server logs.", "error");
-                        document.getElementById('prog-box').classList.add('hidden');
-                    }
-                }, 1000);
+                if (s.status === 'completed') {
+                    stream.close();
+                    showToast(s.fromLibrary ? "Already in the library! Downloading..." : (s.encodePath === 'remux' ? "File ready (stream copy)! Downloading..." : "File ready! Downloading..."), "success");
+                    await saveSubtitleFiles(s);
+                    loadQuota();
+                    window.location.href = \`/api/file/\${s.jobId}/\${encodeURIComponent(currentMetadata.title)}\`;
+                    setTimeout(() => { document.getElementById('prog-box').classList.add('hidden'); }, 3000);
+                } else if (s.status === 'error') {
+                    stream.close();
+                    showToast(s.error ? "Download failed: " + s.error : "Download failed.", "error");
+                } else if (s.status === 'cancelled') {
+                    stream.close();
+                } else if (s.status === 'expired') {
+                    stream.close();
+                    showToast(s.error, "error");
+                }
+            }
+
+            async function cancelJob() {
+                if (!currentJobId) return;
+                const data = await (await fetch(\`/api/jobs/\${currentJobId}\`, { method: 'DELETE' })).json();
+                if (data.error) return showToast(data.error, "error");
+                if (jobStream) jobStream.close();
+                setJobControls(data);
+                document.getElementById('p-status').innerText = 'Cancelled';
+                showToast("Download cancelled", "info");
+            }
+
+            async function togglePauseJob() {
+                if (!currentJobId) return;
+                const paused = document.getElementById('p-pause').innerText === 'Resume';
+                const data = await (await fetch(\`/api/jobs/\${currentJobId}/\${paused ? 'resume' : 'pause'}\`, { method: 'POST' })).json();
+                if (data.error) return showToast(data.error, "error");
+                setJobControls(data);
+                showToast(paused ? "Download resumed" : "Download paused", "info");
+            }
+
+            async function retryJob() {
+                if (!currentJobId) return;
+                const data = await (await fetch(\`/api/jobs/\${currentJobId}/retry\`, { method: 'POST' })).json();
+                if (data.error) return showToast(data.error, "error");
+                showToast("Retrying with the same selection...", "info");
+                trackJob(currentJobId);
             }
         </script>
     </body>
@@ -852,9 +5214,36 @@ app.get('/', (req, res) => {
     `);
 });
 
-app.listen(PORT, () => {
-    console.log("\n" + "=".repeat(50));
-    console.log(`[SERVER] YouTubeExtract Server running on http://localhost:${PORT}`);
-    console.log(`[TEMP] Temp Folder: ${TEMP_DIR}`);
-    console.log("=".repeat(50) + "\n");
-});
\ No newline at end of file
+// Body parser failures (oversized or malformed payloads) answer in JSON like every other API error
+app.use((err, req, res, next) => {
+    if (err.type === 'entity.too.large') return res.status(413).json({ error: `Request body too large (limit ${err.limit} bytes)` });
+    if (err.type === 'entity.parse.failed') return res.status(400).json({ error: 'Malformed JSON body' });
+    next(err);
+});
+
+// Only listen when started directly; bin/umx.js requires this file to run the same pipeline in-process
+if (require.main === module) {
+    app.listen(PORT, () => {
+        logger(null, `YouTubeExtract Server running on http://localhost:${PORT}`, "SERVER");
+        logger(null, `Temp Folder: ${TEMP_DIR}`, "TEMP");
+        logger(null, `Max concurrent jobs: ${MAX_CONCURRENT_JOBS}`, "QUEUE");
+        pumpQueue(); // Start anything left queued before the last restart
+        refreshDependencies().then(deps => {
+            if (deps.ffmpeg.ok) logger(null, `ffmpeg ${deps.ffmpeg.version}`, "SYSTEM");
+            else logger(null, `${deps.ffmpeg.error}; every download will fail until it is installed`, "CRITICAL");
+            if (deps.ytdlp.ok) logger(null, `yt-dlp ${deps.ytdlp.version}${deps.ytdlp.ageDays !== null ? ` (${deps.ytdlp.ageDays} days old)` : ''}`, "SYSTEM");
+            else logger(null, `yt-dlp is not usable: ${deps.ytdlp.error}`, "CRITICAL");
+        });
+    });
+}
+
+module.exports = {
+    app, jobs, jobEvents, jobSnapshot, jobOutputPath, analyzeMedia, createDownload, createBatch, cancelJob, deliveryName, releaseJob,
+    // Pure helpers covered by test/
+    createUser, quotaError, recordUsage, usageFor, cleanTitle, cookieProfiles, isLibraryEligible,
+    cleanMediaUrl, detectPlatform, isCollectionUrl, compileUrlRule,
+    isBlockedAddress, guardOutboundUrl,
+    parseRate, takeToken,
+    CONFIG_SCHEMA, coerceSetting, parseConfigFlags,
+    metrics, countMetric, observeMetric, renderMetric, platformLabel
+};
\ No newline at end of file
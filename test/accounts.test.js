@@ -0,0 +1,32 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadServer, startSession } = require('./helpers');
+
+const { app } = loadServer();
+
+test('password changes need both passwords', async (t) => {
+    const session = await startSession(app, 'admin', 'admin-password');
+    t.after(session.close);
+
+    const empty = await session.post('/api/me/password');
+    assert.equal(empty.status, 400);
+    assert.equal(empty.body.error, 'currentPassword and newPassword are required');
+    assert.equal((await session.post('/api/me/password', { currentPassword: 'admin-password' })).status, 400);
+    assert.equal((await session.post('/api/me/password', { currentPassword: 'wrong-password', newPassword: 'new-password' })).status, 403);
+    assert.equal((await session.post('/api/me/password', { currentPassword: 'admin-password', newPassword: 'short' })).status, 400);
+});
+
+test('API keys get a default label and reject a non-string one', async (t) => {
+    const session = await startSession(app, 'admin', 'admin-password');
+    t.after(session.close);
+
+    const created = await session.post('/api/keys');
+    assert.equal(created.status, 201);
+    assert.equal(created.body.label, 'API key');
+    assert.match(created.body.key, /^umx_/);
+
+    assert.equal((await session.post('/api/keys', { label: '  CI runner  ' })).body.label, 'CI runner');
+    const bad = await session.post('/api/keys', { label: 5 });
+    assert.equal(bad.status, 400);
+    assert.equal(bad.body.error, 'label must be a non-empty string');
+});
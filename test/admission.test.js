@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadServer, startSession } = require('./helpers');
+
+// One download a day for everyone but "roomy", and a free-space floor no disk meets
+const { app, jobs, createUser, recordUsage, usageFor } = loadServer({ UMX_DAILY_DOWNLOADS: '1', UMX_MIN_FREE_GB: '1000000' });
+createUser({ username: 'roomy', password: 'password1', quota: { dailyDownloads: 0 } });
+createUser({ username: 'capped', password: 'password1' });
+recordUsage('capped', { downloads: 1 });
+
+const addJob = (jobId, owner, fields) => {
+    jobs[jobId] = { status: 'error', progress: '40%', url: 'https://www.youtube.com/watch?v=dQw4w9WgXcQ', formatSelection: '18', title: 'Old run', owner, createdAt: Date.now(), ...fields };
+};
+
+test('retry checks the job owner\'s quota, not the caller\'s', async (t) => {
+    const session = await startSession(app, 'admin', 'admin-password');
+    t.after(session.close);
+    addJob('owner-retry', 'capped', { status: 'error' });
+
+    const retry = await session.post('/api/jobs/owner-retry/retry');
+    assert.equal(retry.status, 429);
+    assert.match(retry.body.error, /Daily download quota reached \(1\/1 used today\)/);
+    assert.equal(jobs['owner-retry'].status, 'error');
+    assert.equal(jobs['owner-retry'].retries, undefined);
+    assert.equal(usageFor('admin').downloads, 0);
+});
+
+test('resume is not charged again, only the disk is checked', async (t) => {
+    const session = await startSession(app, 'capped', 'password1');
+    t.after(session.close);
+    addJob('capped-resume', 'capped', { status: 'paused', resumable: true });
+
+    const resume = await session.post('/api/jobs/capped-resume/resume');
+    assert.equal(resume.status, 507); // Over quota, but that no longer matters for a resume
+    assert.match(resume.body.error, /Server disk is almost full/);
+    assert.equal(jobs['capped-resume'].status, 'paused');
+    assert.equal(usageFor('capped').downloads, 1);
+});
+
+test('retry is refused while the disk is almost full', async (t) => {
+    const session = await startSession(app, 'roomy', 'password1');
+    t.after(session.close);
+    addJob('disk-retry', 'roomy', { status: 'cancelled' });
+    addJob('disk-resume', 'roomy', { status: 'interrupted', resumable: true });
+
+    const retry = await session.post('/api/jobs/disk-retry/retry');
+    assert.equal(retry.status, 507);
+    assert.match(retry.body.error, /Server disk is almost full/);
+    assert.equal((await session.post('/api/jobs/disk-resume/resume')).status, 507);
+    assert.equal(usageFor('roomy').downloads, 0);
+});
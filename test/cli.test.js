@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const { spawnSync } = require('child_process');
+const { parseArgs, pickStreams, batchQuality, freePath, remoteClient, UsageError } = require('../bin/umx.js');
+
+const CLI = path.join(__dirname, '..', 'bin', 'umx.js');
+const run = (args) => spawnSync(process.execPath, [CLI, ...args], { encoding: 'utf8', timeout: 30000 });
+
+test('arguments: positionals, flags, aliases and both value spellings', () => {
+    assert.deepEqual(parseArgs(['get', 'https://x.test/v', '-o', 'out', '--format=mp3', '--json', '--video', '720']), {
+        _: ['get', 'https://x.test/v'], output: 'out', format: 'mp3', json: true, video: '720'
+    });
+    assert.throws(() => parseArgs(['get', 'url', '--audio']), err => err instanceof UsageError && err.message === '--audio needs a value');
+});
+
+const info = {
+    formats: [
+        { id: 'v1080', vcodec: 'avc1', height: 1080, size: 90, resolution: '1080p' },
+        { id: 'v720', vcodec: 'vp9', height: 720, size: 50, resolution: '720p' },
+        { id: 'a-small', acodec: 'opus', size: 3, abr: '70k' },
+        { id: 'a-big', acodec: 'mp4a', size: 6, abr: '128k' }
+    ]
+};
+
+test('stream picks mirror the UI defaults and honour height caps and ids', () => {
+    assert.deepEqual(pickStreams(info, {}), { vId: 'v1080', aId: 'a-big', vLabel: '1080p', aLabel: '128k', vCodec: 'avc1', aCodec: 'mp4a' });
+    assert.equal(pickStreams(info, { video: '720p' }).vId, 'v720');
+    assert.equal(pickStreams(info, { audio: 'a-small' }).aId, 'a-small');
+    assert.deepEqual(pickStreams(info, { video: 'none' }), { vId: '', aId: 'a-big', vLabel: 'NoVideo', aLabel: '128k', vCodec: '', aCodec: 'mp4a' });
+    assert.throws(() => pickStreams(info, { video: '480' }), /No video stream matches "480"/);
+    assert.throws(() => pickStreams(info, { video: 'none', audio: 'none' }), /Nothing to download/);
+});
+
+test('--video maps onto the batch presets', () => {
+    assert.equal(batchQuality('1080'), '1080p');
+    assert.equal(batchQuality('720p'), '720p');
+    assert.equal(batchQuality('best'), 'best');
+    assert.equal(batchQuality('v1080'), 'best');
+});
+
+test('saved files never overwrite an earlier one', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'umx-cli-'));
+    try {
+        assert.equal(freePath(dir, 'clip.mp4'), path.join(dir, 'clip.mp4'));
+        fs.writeFileSync(path.join(dir, 'clip.mp4'), '');
+        fs.writeFileSync(path.join(dir, 'clip (2).mp4'), '');
+        assert.equal(freePath(dir, 'clip.mp4'), path.join(dir, 'clip (3).mp4'));
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('usage errors exit with 2, --help with 0', () => {
+    const help = run(['--help']);
+    assert.equal(help.status, 0);
+    assert.match(help.stdout, /^Usage:/);
+
+    assert.equal(run([]).status, 2);
+    const unknown = run(['fetch', 'https://x.test/v']);
+    assert.equal(unknown.status, 2);
+    assert.match(unknown.stderr, /umx: Unknown command "fetch"/);
+    assert.match(run(['get']).stderr, /umx get needs a URL/);
+});
+
+test('watching a job reconnects when the event stream drops mid-way', async (t) => {
+    let connections = 0;
+    const server = http.createServer((req, res) => {
+        connections++;
+        res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+        if (connections === 1) {
+            res.write(`data: ${JSON.stringify({ jobId: 'j1', status: 'downloading', progress: '40%' })}\n\n`);
+            return setTimeout(() => req.socket.destroy(), 50); // Server restart in the middle of the stream
+        }
+        res.end(`data: ${JSON.stringify({ jobId: 'j1', status: 'completed', progress: '100%' })}\n\n`);
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    t.after(() => server.close());
+
+    const seen = [];
+    const final = await remoteClient({ server: `http://127.0.0.1:${server.address().port}` }).watch('j1', s => seen.push(s.progress));
+    assert.equal(final.status, 'completed');
+    assert.deepEqual(seen, ['40%', '100%']);
+    assert.equal(connections, 2);
+});
@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { loadServer } = require('./helpers');
+
+const { CONFIG_SCHEMA, coerceSetting, parseConfigFlags } = loadServer();
+
+test('numbers are coerced from strings and checked against their bounds', () => {
+    assert.equal(coerceSetting(CONFIG_SCHEMA.port, '8080'), 8080);
+    assert.throws(() => coerceSetting(CONFIG_SCHEMA.port, '70000'), /must be from 1 to 65535/);
+    assert.throws(() => coerceSetting(CONFIG_SCHEMA.maxConcurrentJobs, '1.5'), /must be a whole number, at least 1/);
+    assert.equal(coerceSetting(CONFIG_SCHEMA.maxTempGb, 0.5), 0.5);
+});
+
+test('booleans, enums, rates and sizes only accept their own formats', () => {
+    assert.equal(coerceSetting(CONFIG_SCHEMA.auth, 'off'), false);
+    assert.equal(coerceSetting(CONFIG_SCHEMA.auth, 'YES'), true);
+    assert.throws(() => coerceSetting(CONFIG_SCHEMA.auth, 'maybe'), /must be on or off/);
+    assert.throws(() => coerceSetting(CONFIG_SCHEMA.logFormat, 'xml'), /must be one of json, text/);
+    assert.equal(coerceSetting(CONFIG_SCHEMA.rateApi, ' 10/s '), '10/s');
+    assert.throws(() => coerceSetting(CONFIG_SCHEMA.rateApi, '0/min'), /must be a rate like/);
+    assert.throws(() => coerceSetting(CONFIG_SCHEMA.jsonBodyLimit, '10gb'), /must be a size like 100kb or 1mb/);
+});
+
+test('paths resolve against their layer and lists validate network ranges', () => {
+    assert.equal(coerceSetting(CONFIG_SCHEMA.tempDir, 'scratch', '/srv/umx'), path.resolve('/srv/umx', 'scratch'));
+    assert.deepEqual(coerceSetting(CONFIG_SCHEMA.corsOrigins, 'https://a.test, https://b.test,'), ['https://a.test', 'https://b.test']);
+    assert.deepEqual(coerceSetting(CONFIG_SCHEMA.allowPrivateNets, ['10.0.0.0/8', '::1']), ['10.0.0.0/8', '::1']);
+    assert.throws(() => coerceSetting(CONFIG_SCHEMA.allowPrivateNets, '10.0.0.0/33'), /invalid network range\(s\): 10.0.0.0\/33/);
+});
+
+test('flags accept both spellings, bare booleans and report unknown options', () => {
+    const { flags, errors } = parseConfigFlags(['--port', '4000', '--max-concurrent-jobs=3', '--no-library', '--auth', '--bogus', '--log-level']);
+    assert.deepEqual(flags, { port: '4000', maxConcurrentJobs: '3', library: 'off', auth: 'on' });
+    assert.deepEqual(errors, ['Unknown option "--bogus"', '--log-level needs a value']);
+    assert.deepEqual(parseConfigFlags(['--no-port']).errors, ['--no-port only works for on/off settings']);
+});
+
+// loadConfig only reads flags when server.js is the entry point, so run it as one
+const runServer = (args) => spawnSync(process.execPath, [path.join(__dirname, '..', 'server.js'), ...args], {
+    env: { ...process.env, UMX_CONFIG: '' }, encoding: 'utf8', timeout: 30000
+});
+
+test('invalid settings stop the server with every problem listed', () => {
+    const result = runServer(['--port', 'abc', '--encoder', 'magic']);
+    assert.equal(result.status, 1);
+    assert.match(result.stderr, /Invalid configuration:/);
+    assert.match(result.stderr, /port = "abc" from --port: must be a whole number/);
+    assert.match(result.stderr, /encoder = "magic" from --encoder: must be one of/);
+});
+
+test('--help lists every setting and exits cleanly', () => {
+    const result = runServer(['--help']);
+    assert.equal(result.status, 0);
+    Object.keys(CONFIG_SCHEMA).forEach(key => assert.match(result.stdout, new RegExp(`--${key.replace(/[A-Z]/g, c => '-' + c.toLowerCase())} `)));
+});
@@ -0,0 +1,39 @@
+// Loads server.js against throwaway state directories, so a test run never touches ./data or ./temp.
+// node --test runs every file in its own process, which gives each file a fresh server module
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const loadServer = (env = {}) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'umx-test-'));
+    process.on('exit', () => fs.rmSync(dir, { recursive: true, force: true }));
+    Object.assign(process.env, {
+        UMX_DATA_DIR: path.join(dir, 'data'),
+        UMX_TEMP_DIR: path.join(dir, 'temp'),
+        UMX_LOG_LEVEL: 'error',
+        UMX_ADMIN_PASSWORD: 'admin-password',
+        ...env
+    });
+    return require('../server.js');
+};
+
+// Starts the app on a free port and logs in; `post` sends JSON (or nothing) with the session cookie
+const startSession = async (app, username, password) => {
+    const server = await new Promise(resolve => { const s = app.listen(0, '127.0.0.1', () => resolve(s)); });
+    const base = `http://127.0.0.1:${server.address().port}`;
+    const login = await fetch(`${base}/api/login`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ username, password }) });
+    if (login.status !== 200) throw new Error(`Login as ${username} failed with ${login.status}`);
+    const cookie = login.headers.get('set-cookie').split(';')[0];
+
+    const post = async (route, body) => {
+        const res = await fetch(base + route, {
+            method: 'POST',
+            headers: { Cookie: cookie, ...(body === undefined ? {} : { 'Content-Type': 'application/json' }) },
+            body: body === undefined ? undefined : JSON.stringify(body)
+        });
+        return { status: res.status, body: await res.json() };
+    };
+    return { post, close: () => server.close() };
+};
+
+module.exports = { loadServer, startSession };
@@ -0,0 +1,32 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadServer } = require('./helpers');
+
+const { cleanTitle, cookieProfiles, isLibraryEligible } = loadServer();
+
+test('client titles lose markup characters and control codes before they are stored', () => {
+    assert.equal(cleanTitle('<img src=x onerror=alert(1)>Song'), 'img src=x onerror=alert(1)Song');
+    assert.equal(cleanTitle('Line one\n\tline\u0000 two'), 'Line one line two');
+    assert.equal(cleanTitle('  Tom & Jerry "Live"  '), 'Tom & Jerry "Live"');
+});
+
+test('titles are capped and never empty', () => {
+    assert.equal(cleanTitle('x'.repeat(500)).length, 200);
+    assert.equal(cleanTitle(''), 'Untitled');
+    assert.equal(cleanTitle(undefined), 'Untitled');
+    assert.equal(cleanTitle('<>'), 'Untitled');
+    assert.equal(cleanTitle(42), '42');
+});
+
+test('outputs fetched with private cookie profiles are kept out of the shared library', () => {
+    cookieProfiles.mine = { id: 'mine', owner: 'alice', users: [] };
+    cookieProfiles.team = { id: 'team', owner: 'alice', users: ['bob'] };
+    cookieProfiles.everyone = { id: 'everyone', owner: 'admin', users: ['*'] };
+
+    assert.equal(isLibraryEligible({ cookieProfile: null }), true); // Server-wide cookies.txt or none at all
+    assert.equal(isLibraryEligible({ cookieProfile: 'none' }), true);
+    assert.equal(isLibraryEligible({ cookieProfile: 'everyone' }), true);
+    assert.equal(isLibraryEligible({ cookieProfile: 'mine' }), false);
+    assert.equal(isLibraryEligible({ cookieProfile: 'team' }), false);
+    assert.equal(isLibraryEligible({ cookieProfile: 'deleted-since' }), false);
+});
@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadServer } = require('./helpers');
+
+// Auth off makes every caller the implicit admin, which is what /metrics requires
+const { app, metrics, countMetric, observeMetric, renderMetric, platformLabel } = loadServer({ UMX_AUTH: 'off' });
+
+const counter = () => ({ name: 'test_total', type: 'counter', help: 'Test counter', series: new Map() });
+
+test('counters render one line per label set, summed across calls', () => {
+    const metric = counter();
+    countMetric(metric, { platform: 'youtube', result: 'ok' });
+    countMetric(metric, { platform: 'youtube', result: 'ok' }, 2);
+    countMetric(metric, { platform: 'vimeo', result: 'error' });
+    assert.equal(renderMetric(metric), [
+        '# HELP test_total Test counter',
+        '# TYPE test_total counter',
+        'test_total{platform="youtube",result="ok"} 3',
+        'test_total{platform="vimeo",result="error"} 1'
+    ].join('\n'));
+});
+
+test('label values are escaped', () => {
+    const metric = counter();
+    countMetric(metric, { reason: 'say "hi"\\\nbye' });
+    assert.match(renderMetric(metric), /test_total\{reason="say \\"hi\\"\\\\\\nbye"\} 1/);
+});
+
+test('histograms render cumulative buckets, +Inf, sum and count', () => {
+    const metric = { name: 'test_seconds', type: 'histogram', help: 'Test histogram', buckets: [1, 10], series: new Map() };
+    observeMetric(metric, { phase: 'download' }, 0.5);
+    observeMetric(metric, { phase: 'download' }, 5);
+    observeMetric(metric, { phase: 'download' }, 50);
+    assert.deepEqual(renderMetric(metric).split('\n').slice(2), [
+        'test_seconds_bucket{phase="download",le="1"} 1',
+        'test_seconds_bucket{phase="download",le="10"} 2',
+        'test_seconds_bucket{phase="download",le="+Inf"} 3',
+        'test_seconds_sum{phase="download"} 55.5',
+        'test_seconds_count{phase="download"} 3'
+    ]);
+});
+
+test('sites without a URL rule share the "other" platform label', () => {
+    assert.equal(platformLabel('https://youtu.be/dQw4w9WgXcQ'), 'youtube');
+    assert.equal(platformLabel('https://random-host.example/video'), 'other');
+    assert.equal(platformLabel('not a url'), 'other');
+});
+
+test('GET /metrics serves every metric family in the Prometheus text format', async () => {
+    countMetric(metrics.analyses, { platform: 'youtube', cache: 'miss', result: 'ok' });
+    const server = app.listen(0);
+    try {
+        const res = await fetch(`http://127.0.0.1:${server.address().port}/metrics`);
+        assert.equal(res.status, 200);
+        assert.match(res.headers.get('content-type'), /^text\/plain;.*version=0\.0\.4/);
+        const body = await res.text();
+        Object.values(metrics).forEach(m => assert.match(body, new RegExp(`^# TYPE ${m.name} ${m.type}$`, 'm')));
+        assert.match(body, /^umx_analyses_total\{platform="youtube",cache="miss",result="ok"\} 1$/m);
+        assert.match(body, /^umx_queue_length 0$/m);
+        assert.match(body, /^umx_process_uptime_seconds \d+$/m);
+    } finally {
+        server.close();
+    }
+});
@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadServer } = require('./helpers');
+
+// A custom rule file is loaded ahead of the built-in rules
+const rulesFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'umx-rules-')), 'url-rules.json');
+fs.writeFileSync(rulesFile, JSON.stringify({
+    trackingParams: ['utm_source', 'campaign'],
+    rules: [{ platform: 'example', hosts: ['media.example.com'], canonicalHost: 'media.example.com', aliases: ['m.media.example.com'], rewrites: [{ match: '^/v/(\\d+)$', to: '/watch/$1' }] }]
+}));
+process.on('exit', () => fs.rmSync(path.dirname(rulesFile), { recursive: true, force: true }));
+
+const { cleanMediaUrl, detectPlatform, isCollectionUrl, compileUrlRule } = loadServer({ UMX_URL_RULES: rulesFile });
+
+test('YouTube short links, shorts and mobile hosts collapse to the watch URL', () => {
+    assert.equal(cleanMediaUrl('https://youtu.be/dQw4w9WgXcQ?si=abc'), 'https://www.youtube.com/watch?v=dQw4w9WgXcQ');
+    assert.equal(cleanMediaUrl('https://m.youtube.com/shorts/dQw4w9WgXcQ'), 'https://www.youtube.com/watch?v=dQw4w9WgXcQ');
+    assert.equal(cleanMediaUrl('https://youtube.com/embed/dQw4w9WgXcQ#t=10'), 'https://www.youtube.com/watch?v=dQw4w9WgXcQ');
+});
+
+test('playlist ids are dropped from videos unless playlist mode asks for the list', () => {
+    const url = 'https://www.youtube.com/watch?v=dQw4w9WgXcQ&list=PL123&index=4';
+    assert.equal(cleanMediaUrl(url), 'https://www.youtube.com/watch?v=dQw4w9WgXcQ');
+    assert.equal(cleanMediaUrl(url, { keepPlaylist: true }), 'https://www.youtube.com/playlist?list=PL123');
+    assert.equal(cleanMediaUrl('https://www.youtube.com/playlist?list=PL123'), 'https://www.youtube.com/playlist?list=PL123');
+});
+
+test('dropQuery sites lose the whole query string, others only tracking params', () => {
+    assert.equal(cleanMediaUrl('https://instagram.com/someone/reel/Cabc123/?igsh=xyz'), 'https://www.instagram.com/reel/Cabc123/');
+    assert.equal(cleanMediaUrl('https://twitter.com/user/status/1?s=20'), 'https://x.com/user/status/1');
+    assert.equal(cleanMediaUrl('https://vimeo.com/123?share=copy&h=keep'), 'https://vimeo.com/123?h=keep');
+});
+
+test('custom rules apply before the built-in ones, with their own tracking params', () => {
+    assert.equal(cleanMediaUrl('https://m.media.example.com/v/42?campaign=x&q=1'), 'https://media.example.com/watch/42?q=1');
+    assert.equal(detectPlatform('https://media.example.com/watch/42'), 'example');
+    // The file replaces the default tracking list, so fbclid is no longer stripped on unknown sites
+    assert.equal(cleanMediaUrl('https://other.example.org/a?fbclid=1&utm_source=x'), 'https://other.example.org/a?fbclid=1');
+});
+
+test('unknown sites fall back to their hostname and unparsable input passes through', () => {
+    assert.equal(detectPlatform('https://www.dailymotion.com/video/x1'), 'dailymotion.com');
+    assert.equal(detectPlatform('not a url'), 'unknown');
+    assert.equal(cleanMediaUrl('not a url'), 'not a url');
+});
+
+test('playlist pages and channel handles are collections', () => {
+    assert.equal(isCollectionUrl('https://www.youtube.com/@somechannel'), true);
+    assert.equal(isCollectionUrl('https://youtube.com/playlist?list=PL123'), true);
+    assert.equal(isCollectionUrl('https://youtu.be/dQw4w9WgXcQ'), false);
+});
+
+test('malformed rules are rejected with the rule named', () => {
+    assert.throws(() => compileUrlRule({ platform: 'x' }, 0), /URL rule #1 \(x\): "hosts" must be a non-empty array/);
+    assert.throws(() => compileUrlRule({ platform: 'x', hosts: ['x.com'], aliases: ['m.x.com'] }, 2), /#3 \(x\): "aliases" needs a "canonicalHost"/);
+    assert.throws(() => compileUrlRule({ platform: 'x', hosts: ['x.com'], rewrites: [{ match: '(', to: '/' }] }, 0), /invalid rewrite regex/);
+});
@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { loadServer } = require('./helpers');
+
+// Stand-in for yt-dlp: every download() is a run the test settles by hand
+const runs = [];
+class FakeYtDlp {
+    download() {
+        const builder = { on: () => builder, cookies: () => builder, format: () => builder, setOutputTemplate: () => builder, addArgs: () => builder };
+        builder.run = () => new Promise((resolve, reject) => runs.push({ resolve, reject }));
+        return builder;
+    }
+    getVersionAsync() { return Promise.resolve('2099.01.01'); }
+}
+require.cache[require.resolve('ytdlp-nodejs')] = { exports: { YtDlp: FakeYtDlp }, loaded: true };
+
+const { app, jobs, createDownload } = loadServer({ UMX_AUTH: 'off', UMX_MIN_FREE_GB: '0', UMX_LIBRARY: 'off' });
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+test('a run killed by pause cannot fail or take over the run that resumed the job', async (t) => {
+    const server = app.listen(0);
+    t.after(() => server.close());
+    const post = (route) => fetch(`http://127.0.0.1:${server.address().port}${route}`, { method: 'POST' });
+
+    const { jobId } = await createDownload({ username: 'local', role: 'admin' }, {
+        url: 'https://8.8.8.8/video', vId: '137', aId: '140', vCodec: 'avc1', aCodec: 'mp4a', title: 'Race', format: 'mkv'
+    });
+    assert.equal(jobs[jobId].status, 'downloading');
+    assert.equal(runs.length, 1);
+
+    assert.equal((await post(`/api/jobs/${jobId}/pause`)).status, 200);
+    assert.equal((await post(`/api/jobs/${jobId}/resume`)).status, 200);
+    assert.equal(jobs[jobId].status, 'downloading');
+    assert.equal(runs.length, 2);
+
+    // The killed first run settles only now, while the second one is running
+    runs[0].reject(new Error('yt-dlp was killed'));
+    await settle();
+    assert.equal(jobs[jobId].status, 'downloading');
+    assert.equal(jobs[jobId].error, undefined);
+    assert.equal(runs.length, 2, 'no fallback run was started');
+
+    const output = path.join(process.env.UMX_TEMP_DIR, `${jobId}.mkv`);
+    fs.writeFileSync(output, 'video');
+    runs[1].resolve({ filePaths: [output] });
+    for (let i = 0; i < 5 && jobs[jobId].status !== 'completed'; i++) await settle();
+    assert.equal(jobs[jobId].status, 'completed');
+    assert.equal(jobs[jobId].file, `${jobId}.mkv`);
+});
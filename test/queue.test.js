@@ -0,0 +1,19 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadServer, startSession } = require('./helpers');
+
+const { app } = loadServer();
+
+test('moving a queued job needs an integer position', async (t) => {
+    const session = await startSession(app, 'admin', 'admin-password');
+    t.after(session.close);
+
+    for (const body of [undefined, {}, { position: '2' }, { position: 1.5 }]) {
+        const res = await session.post('/api/queue/some-job/move', body);
+        assert.equal(res.status, 400, JSON.stringify(body));
+        assert.equal(res.body.error, 'position must be an integer');
+    }
+    const missing = await session.post('/api/queue/some-job/move', { position: 2 });
+    assert.equal(missing.status, 404);
+    assert.equal(missing.body.error, 'Job is not waiting in the queue');
+});
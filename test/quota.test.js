@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadServer } = require('./helpers');
+
+const { createUser, quotaError, recordUsage, usageFor } = loadServer({ UMX_DAILY_DOWNLOADS: '3', UMX_DAILY_GB: '1' });
+
+test('new users start the day with empty usage', () => {
+    createUser({ username: 'fresh', password: 'password1' });
+    const usage = usageFor('fresh');
+    assert.equal(usage.downloads, 0);
+    assert.equal(usage.bytes, 0);
+    assert.equal(quotaError({ username: 'fresh' }, 1), null);
+});
+
+test('the server default caps daily downloads, counting the ones being requested', () => {
+    createUser({ username: 'counter', password: 'password1' });
+    const user = { username: 'counter' };
+    recordUsage('counter', { downloads: 2 });
+    assert.equal(quotaError(user, 1), null);
+    assert.match(quotaError(user, 2), /Daily download quota reached \(2\/3 used today\)/);
+    recordUsage('counter', { downloads: 1 });
+    assert.match(quotaError(user, 1), /3\/3 used today/);
+});
+
+test('bytes are capped once the day\'s volume is used up', () => {
+    createUser({ username: 'heavy', password: 'password1' });
+    recordUsage('heavy', { bytes: 1024 ** 3 - 1 });
+    assert.equal(quotaError({ username: 'heavy' }), null);
+    recordUsage('heavy', { bytes: 1 });
+    assert.match(quotaError({ username: 'heavy' }), /Daily data quota reached/);
+});
+
+test('a per-user quota overrides the default and 0 means unlimited', () => {
+    createUser({ username: 'unlimited', password: 'password1', quota: { dailyDownloads: 0 } });
+    recordUsage('unlimited', { downloads: 100 });
+    assert.equal(quotaError({ username: 'unlimited' }, 10), null);
+
+    createUser({ username: 'strict', password: 'password1', quota: { dailyDownloads: 1 } });
+    assert.equal(quotaError({ username: 'strict' }, 1), null);
+    assert.match(quotaError({ username: 'strict' }, 2), /0\/1 used today/);
+});
+
+test('usage from an earlier day is reset', () => {
+    createUser({ username: 'yesterday', password: 'password1' });
+    recordUsage('yesterday', { downloads: 3 });
+    usageFor('yesterday').day = '2000-01-01';
+    assert.equal(usageFor('yesterday').downloads, 0);
+    assert.equal(quotaError({ username: 'yesterday' }, 3), null);
+});
+
+test('invalid quota values are rejected', () => {
+    assert.throws(() => createUser({ username: 'broken', password: 'password1', quota: { dailyDownloads: -1 } }), /whole number >= 0/);
+    assert.throws(() => createUser({ username: 'broken', password: 'password1', quota: { dailyBytes: 1.5 } }), /whole number >= 0/);
+});
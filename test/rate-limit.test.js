@@ -0,0 +1,36 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadServer } = require('./helpers');
+
+const { parseRate, takeToken } = loadServer({ UMX_RATE_ANALYZE: '3/min', UMX_RATE_DOWNLOAD: 'off' });
+
+test('rate specs parse into a capacity and a refill per millisecond', () => {
+    assert.deepEqual(parseRate('20/min'), { capacity: 20, refillPerMs: 20 / 60000, spec: '20/min' });
+    assert.equal(parseRate('5 / s').refillPerMs, 5 / 1000);
+    assert.equal(parseRate('off'), null);
+});
+
+test('a full bucket allows the burst, then reports the seconds until the next token', (t) => {
+    let now = 1_000_000;
+    t.mock.method(Date, 'now', () => now);
+    assert.equal(takeToken('analyze', 'ip:burst'), 0);
+    assert.equal(takeToken('analyze', 'ip:burst'), 0);
+    assert.equal(takeToken('analyze', 'ip:burst'), 0);
+    assert.equal(takeToken('analyze', 'ip:burst'), 20); // 3/min refills one token every 20s
+
+    now += 15000;
+    assert.equal(takeToken('analyze', 'ip:burst'), 5);
+    now += 5000;
+    assert.equal(takeToken('analyze', 'ip:burst'), 0);
+});
+
+test('each identity has its own bucket', (t) => {
+    t.mock.method(Date, 'now', () => 2_000_000);
+    for (let i = 0; i < 3; i++) takeToken('analyze', 'key:a');
+    assert.ok(takeToken('analyze', 'key:a') > 0);
+    assert.equal(takeToken('analyze', 'key:b'), 0);
+});
+
+test('a tier set to off never limits', () => {
+    for (let i = 0; i < 100; i++) assert.equal(takeToken('download', 'ip:flood'), 0);
+});
@@ -1,7 +1,11 @@
 @echo off
-cd /d D:\YouTube_Video_Downloader
+rem Runs from wherever this file lives; settings come from umx.config.json, UMX_* variables or flags passed here
+cd /d "%~dp0"
+rem The browser tab follows UMX_PORT; a port set only in umx.config.json has to be opened by hand
+set OPEN_PORT=%UMX_PORT%
+if "%OPEN_PORT%"=="" set OPEN_PORT=3000
 
-start cmd /k node server.js
+start cmd /k node server.js %*
 
 timeout /t 2 >nul
-start "" http://localhost:3000
\ No newline at end of file
+start "" http://localhost:%OPEN_PORT%
\ No newline at end of file